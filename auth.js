@@ -1,11 +1,55 @@
 const express = require("express");
-const jwt = require("jsonwebtoken");
+const { randomUUID } = require("crypto");
 const { hash, compare } = require("bcrypt");
 const pool = require("../db/pool");
-const { generateAccessToken, generateRefreshToken } = require("../helper/helper");
+const {
+  generateAccessToken,
+  generateRefreshToken,
+  verifyToken: verifyJwt,
+  generateOpaqueToken,
+  hashToken,
+} = require("../helper/helper");
+const { listUserSessions, revokeSession, revokeUserSessions } = require("../helper/sessionStore");
+const { notify } = require("../helper/notifier");
+const {
+  loginKeys,
+  getRetryAfter,
+  recordLoginFailure,
+  clearLoginFailures,
+} = require("../helper/loginGuard");
+const verifyToken = require("../middleware/verifyToken");
 
 const router = express.Router();
 
+// TOKEN: masa berlaku mengikuti role (lihat getAccessExpiration)
+function createAccessToken(user, sid) {
+  return generateAccessToken({
+    id: user.id,
+    email: user.email,
+    role: user.role,
+    sid
+  });
+}
+
+// Role untuk pendaftaran mandiri; kasir dan admin wajib lewat undangan
+const DEFAULT_ROLE = "customer";
+
+// Hash pembanding saat email tidak ada, supaya waktu respon sama dengan password salah
+const DUMMY_PASSWORD_HASH = "$2b$12$Ra0NJVwlS42Ue8vh53HEfew.t20mTOq7u3ArFPM/xehBLTbGfLUVS";
+
+const MIN_PASSWORD_LENGTH = 8;
+const RESET_EXPIRATION_MINUTES = Number(process.env.PASSWORD_RESET_EXPIRATION_MINUTES) || 30;
+
+function validateNewPassword(password) {
+  if (!password || String(password).length < MIN_PASSWORD_LENGTH) {
+    return `Password baru minimal ${MIN_PASSWORD_LENGTH} karakter`;
+  }
+  return null;
+}
+
+// Format session id (UUID) sebelum dikirim ke query
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
 // REGISTER
 /**
  * @swagger
@@ -28,40 +72,74 @@ const router = express.Router();
  *                 type: string
  *               password:
  *                 type: string
- *               role:
+ *               invite_token:
  *                 type: string
+ *                 description: Token undangan dari admin untuk akun kasir/admin
  *             required:
  *               - fullname
  *               - username
  *               - email
  *               - password
- *               - role
  *     responses:
  *       201:
  *         description: Akun berhasil dibuat
  *       400:
- *         description: Email atau username sudah digunakan
+ *         description: Email atau username sudah digunakan, atau undangan tidak valid
  *       500:
  *         description: Internal server error
  */
 
 router.post("/register", async (req, res) => {
-  const { fullname, username, email, password, role } = req.body;
+  // role dari body sengaja diabaikan
+  const { fullname, username, email, password, invite_token } = req.body;
 
-  if (!fullname || !username || !email || !password || !role) {
+  if (!fullname || !username || !email || !password) {
     return res.status(400).json({
       status: "error",
       message: "Semua field wajib diisi"
     });
   }
 
+  const client = await pool.connect();
   try {
-    const check = await pool.query(
+    await client.query("BEGIN");
+
+    let role = DEFAULT_ROLE;
+    let invite = null;
+
+    if (invite_token) {
+      const result = await client.query(
+        "SELECT * FROM invites WHERE token_hash = $1 AND used_at IS NULL FOR UPDATE",
+        [hashToken(invite_token)]
+      );
+      invite = result.rows[0];
+
+      if (!invite || new Date(invite.expires_at) <= new Date()) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({
+          status: "failed",
+          message: "Undangan tidak valid atau sudah kadaluarsa"
+        });
+      }
+
+      if (invite.email && invite.email.toLowerCase() !== String(email).toLowerCase()) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({
+          status: "failed",
+          message: "Undangan ini bukan untuk email tersebut"
+        });
+      }
+
+      role = invite.role;
+    }
+
+    const check = await client.query(
       "SELECT * FROM users WHERE email = $1 OR username = $2",
       [email, username]
     );
 
     if (check.rowCount > 0) {
+      await client.query("ROLLBACK");
       return res.status(400).json({
         status: "failed",
         message: "Email atau username sudah dipakai"
@@ -70,13 +148,21 @@ router.post("/register", async (req, res) => {
 
     const hashedPassword = await hash(password, 12);
 
-    const insert = await pool.query(
+    const insert = await client.query(
       `INSERT INTO users (fullname, username, email, password, role) 
        VALUES ($1, $2, $3, $4, $5)
        RETURNING id, fullname, username, email, role`,
       [fullname, username, email, hashedPassword, role]
     );
 
+    if (invite) {
+      await client.query(
+        "UPDATE invites SET used_at = NOW(), used_by = $1 WHERE id = $2",
+        [insert.rows[0].id, invite.id]
+      );
+    }
+
+    await client.query("COMMIT");
     res.status(201).json({
       status: "success",
       message: "Akun berhasil dibuat",
@@ -84,7 +170,10 @@ router.post("/register", async (req, res) => {
     });
 
   } catch (err) {
+    await client.query("ROLLBACK");
     res.status(500).json({ status: "error", message: err.message });
+  } finally {
+    client.release();
   }
 });
 
@@ -111,49 +200,56 @@ router.post("/register", async (req, res) => {
  *         description: Login berhasil
  *       400:
  *         description: Email atau password salah
+ *       403:
+ *         description: Akun dinonaktifkan
+ *       429:
+ *         description: Terlalu banyak percobaan gagal, akun atau IP dikunci sementara
  */
 router.post("/login", async (req, res) => {
   const { email, password } = req.body;
 
+  if (!email || !password) {
+    return res.status(400).json({ status: "error", message: "Email dan password wajib diisi" });
+  }
+
+  const keys = loginKeys(email, req.ip);
+
   try {
-    const result = await pool.query("SELECT * FROM users WHERE email = $1", [email]);
-    if (result.rowCount === 0) {
-      return res.status(400).json({ status: "error", message: "Email tidak ditemukan" });
+    const retryAfter = await getRetryAfter(keys);
+    if (retryAfter > 0) {
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        status: "error",
+        message: `Terlalu banyak percobaan login, coba lagi dalam ${retryAfter} detik`
+      });
     }
 
+    const result = await pool.query("SELECT * FROM users WHERE email = $1", [email]);
     const user = result.rows[0];
-    const match = await compare(password, user.password);
+    const match = await compare(password, user ? user.password : DUMMY_PASSWORD_HASH);
 
-    if (!match) {
-      return res.status(400).json({ status: "error", message: "Password salah" });
+    // Pesan sama untuk email tidak terdaftar dan password salah
+    if (!user || !match) {
+      await recordLoginFailure(keys);
+      return res.status(400).json({ status: "error", message: "Email atau password salah" });
     }
 
-    // TOKEN: admin tidak expired
-    let accessToken;
-    if (user.role.toLowerCase() === "admin") {
-      accessToken = jwt.sign(
-        { id: user.id, email: user.email, role: user.role },
-        process.env.JWT_SECRET
-      );
-    } else {
-      accessToken = generateAccessToken({
-        id: user.id,
-        email: user.email,
-        role: user.role
-      });
+    // Dicek setelah password cocok agar status akun tidak bocor ke orang lain
+    if (user._is_active_disabled === true) {
+      return res.status(403).json({ status: "error", message: "Akun Anda telah dinonaktifkan" });
     }
 
-    
+    await clearLoginFailures(keys[0]);
 
-    const refreshToken = generateRefreshToken({ id: user.id });
-
-    // Reset token lama
-    await pool.query("DELETE FROM tokens WHERE user_id = $1", [user.id]);
+    // Setiap login membuat sesi baru; sesi di perangkat lain tetap berjalan
+    const sessionId = randomUUID();
+    const accessToken = createAccessToken(user, sessionId);
+    const refreshToken = generateRefreshToken({ id: user.id, sid: sessionId });
 
     await pool.query(
-      `INSERT INTO tokens (user_id, token, refresh_token, created_at)
-       VALUES ($1, $2, $3, NOW())`,
-      [user.id, accessToken, refreshToken]
+      `INSERT INTO tokens (user_id, token, refresh_token, session_id, user_agent, ip_address, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW())`,
+      [user.id, accessToken, refreshToken, sessionId, req.get("user-agent") || null, req.ip]
     );
 
     res.status(200).json({
@@ -177,12 +273,137 @@ router.post("/login", async (req, res) => {
   }
 });
 
-// LOGOUT
-router.post("/logout", async (req, res) => {
+// REFRESH
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: Tukar refresh token dengan access token baru (refresh token dirotasi)
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *             required:
+ *               - refreshToken
+ *     responses:
+ *       200:
+ *         description: Token baru berhasil dibuat
+ *       400:
+ *         description: refreshToken wajib diisi
+ *       401:
+ *         description: Refresh token tidak valid, kadaluarsa, atau sudah pernah dipakai
+ *       403:
+ *         description: Akun dinonaktifkan
+ */
+router.post("/refresh", async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return res.status(400).json({ status: "failed", message: "refreshToken wajib diisi" });
+  }
+
+  const decoded = verifyJwt(refreshToken, process.env.JWT_REFRESH_SECRET);
+  if (!decoded || !decoded.sid) {
+    return res.status(401).json({
+      status: "error",
+      message: "Refresh token tidak valid atau kadaluarsa, silakan login ulang"
+    });
+  }
+
+  const client = await pool.connect();
   try {
-    const id = req.user?.id;
+    await client.query("BEGIN");
 
-    await pool.query("DELETE FROM tokens WHERE user_id = $1", [id]);
+    const session = await client.query(
+      "SELECT * FROM tokens WHERE session_id = $1 AND user_id = $2 FOR UPDATE",
+      [decoded.sid, decoded.id]
+    );
+
+    if (session.rowCount === 0) {
+      await client.query("ROLLBACK");
+      return res.status(401).json({
+        status: "error",
+        message: "Sesi sudah berakhir, silakan login ulang"
+      });
+    }
+
+    // Token valid tapi bukan yang terakhir diberikan → token lama dipakai ulang.
+    // Anggap bocor: cabut seluruh sesi supaya pemegang token mana pun ikut logout.
+    if (session.rows[0].refresh_token !== refreshToken) {
+      await client.query("DELETE FROM tokens WHERE session_id = $1", [decoded.sid]);
+      await client.query("COMMIT");
+      return res.status(401).json({
+        status: "error",
+        message: "Refresh token sudah pernah dipakai, sesi dicabut. Silakan login ulang"
+      });
+    }
+
+    const result = await client.query(
+      "SELECT id, email, role, _is_active_disabled FROM users WHERE id = $1",
+      [decoded.id]
+    );
+    const user = result.rows[0];
+
+    if (!user || user._is_active_disabled === true) {
+      await client.query("DELETE FROM tokens WHERE session_id = $1", [decoded.sid]);
+      await client.query("COMMIT");
+      return res.status(403).json({
+        status: "error",
+        message: "Akun Anda telah dinonaktifkan"
+      });
+    }
+
+    const accessToken = createAccessToken(user, decoded.sid);
+    const newRefreshToken = generateRefreshToken({ id: user.id, sid: decoded.sid });
+
+    await client.query(
+      `UPDATE tokens
+       SET token = $1, refresh_token = $2, rotated_at = NOW()
+       WHERE session_id = $3`,
+      [accessToken, newRefreshToken, decoded.sid]
+    );
+
+    await client.query("COMMIT");
+    res.status(200).json({
+      status: "success",
+      message: "Token berhasil diperbarui",
+      accessToken,
+      refreshToken: newRefreshToken
+    });
+
+  } catch (err) {
+    await client.query("ROLLBACK");
+    res.status(500).json({
+      status: "error",
+      message: "Internal server error: " + err.message
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// LOGOUT
+/**
+ * @swagger
+ * /auth/logout:
+ *   post:
+ *     summary: Logout dari sesi saat ini
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: Berhasil logout
+ *       401:
+ *         description: Token tidak valid atau sesi sudah berakhir
+ */
+router.post("/logout", verifyToken, async (req, res) => {
+  try {
+    await revokeSession(req.user.id, req.user.sid);
 
     res.status(200).json({
       status: "success",
@@ -194,4 +415,304 @@ router.post("/logout", async (req, res) => {
   }
 });
 
+// CHANGE PASSWORD
+/**
+ * @swagger
+ * /auth/change-password:
+ *   post:
+ *     summary: Ganti password (sesi lain otomatis logout)
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               current_password:
+ *                 type: string
+ *               new_password:
+ *                 type: string
+ *             required:
+ *               - current_password
+ *               - new_password
+ *     responses:
+ *       200:
+ *         description: Password berhasil diganti
+ *       400:
+ *         description: Password lama salah atau password baru tidak valid
+ *       401:
+ *         description: Token tidak valid atau sesi sudah berakhir
+ */
+router.post("/change-password", verifyToken, async (req, res) => {
+  const { current_password, new_password } = req.body;
+
+  if (!current_password) {
+    return res.status(400).json({ status: "failed", message: "current_password wajib diisi" });
+  }
+  const invalid = validateNewPassword(new_password);
+  if (invalid) {
+    return res.status(400).json({ status: "failed", message: invalid });
+  }
+
+  try {
+    const result = await pool.query("SELECT id, password FROM users WHERE id = $1", [req.user.id]);
+    if (result.rowCount === 0) {
+      return res.status(404).json({ status: "error", message: "User tidak ditemukan" });
+    }
+
+    const match = await compare(current_password, result.rows[0].password);
+    if (!match) {
+      return res.status(400).json({ status: "error", message: "Password lama salah" });
+    }
+
+    const hashedPassword = await hash(new_password, 12);
+    await pool.query("UPDATE users SET password = $1 WHERE id = $2", [hashedPassword, req.user.id]);
+
+    // Sesi yang dipakai sekarang tetap jalan, perangkat lain harus login ulang
+    await revokeUserSessions(req.user.id, req.user.sid);
+
+    res.status(200).json({
+      status: "success",
+      message: "Password berhasil diganti, sesi di perangkat lain telah diakhiri"
+    });
+
+  } catch (err) {
+    res.status(500).json({ status: "error", message: err.message });
+  }
+});
+
+// FORGOT PASSWORD
+/**
+ * @swagger
+ * /auth/forgot-password:
+ *   post:
+ *     summary: Minta token reset password (dikirim lewat notifier)
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *             required:
+ *               - email
+ *     responses:
+ *       200:
+ *         description: Jika email terdaftar, token reset dikirim
+ *       400:
+ *         description: Email wajib diisi
+ */
+router.post("/forgot-password", async (req, res) => {
+  const { email } = req.body;
+
+  if (!email) {
+    return res.status(400).json({ status: "failed", message: "Email wajib diisi" });
+  }
+
+  try {
+    const result = await pool.query(
+      "SELECT id, email, fullname, _is_active_disabled FROM users WHERE email = $1",
+      [email]
+    );
+    const user = result.rows[0];
+
+    if (user && user._is_active_disabled !== true) {
+      const token = generateOpaqueToken();
+
+      // Token reset sebelumnya otomatis tidak berlaku
+      await pool.query(
+        "DELETE FROM password_resets WHERE user_id = $1 AND used_at IS NULL",
+        [user.id]
+      );
+      await pool.query(
+        `INSERT INTO password_resets (user_id, token_hash, expires_at)
+         VALUES ($1, $2, NOW() + make_interval(mins => $3))`,
+        [user.id, hashToken(token), RESET_EXPIRATION_MINUTES]
+      );
+
+      // Gagal kirim hanya dicatat di log; respon tetap 200 agar tidak membedakan email terdaftar
+      try {
+        await notify({
+          to: user.email,
+          subject: "Reset password",
+          text:
+            `Halo ${user.fullname},\n\n` +
+            `Gunakan token berikut untuk mengatur ulang password Anda:\n${token}\n\n` +
+            `Token berlaku ${RESET_EXPIRATION_MINUTES} menit dan hanya bisa dipakai sekali.`
+        });
+      } catch (err) {
+        console.error("Forgot password notifier error:", err.message);
+      }
+    }
+
+    // Respon selalu sama agar tidak bisa dipakai mengecek email terdaftar
+    res.status(200).json({
+      status: "success",
+      message: "Jika email terdaftar, token reset password telah dikirim"
+    });
+
+  } catch (err) {
+    res.status(500).json({ status: "error", message: err.message });
+  }
+});
+
+// RESET PASSWORD
+/**
+ * @swagger
+ * /auth/reset-password:
+ *   post:
+ *     summary: Atur ulang password memakai token reset
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               token:
+ *                 type: string
+ *               new_password:
+ *                 type: string
+ *             required:
+ *               - token
+ *               - new_password
+ *     responses:
+ *       200:
+ *         description: Password berhasil diatur ulang
+ *       400:
+ *         description: Token tidak valid/kadaluarsa atau password baru tidak valid
+ */
+router.post("/reset-password", async (req, res) => {
+  const { token, new_password } = req.body;
+
+  if (!token) {
+    return res.status(400).json({ status: "failed", message: "Token wajib diisi" });
+  }
+  const invalid = validateNewPassword(new_password);
+  if (invalid) {
+    return res.status(400).json({ status: "failed", message: invalid });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const result = await client.query(
+      `SELECT r.*, u.email FROM password_resets r
+       JOIN users u ON u.id = r.user_id
+       WHERE r.token_hash = $1 AND r.used_at IS NULL
+       FOR UPDATE OF r`,
+      [hashToken(token)]
+    );
+    const reset = result.rows[0];
+
+    if (!reset || new Date(reset.expires_at) <= new Date()) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({
+        status: "failed",
+        message: "Token reset tidak valid atau sudah kadaluarsa"
+      });
+    }
+
+    const hashedPassword = await hash(new_password, 12);
+    await client.query("UPDATE users SET password = $1 WHERE id = $2", [hashedPassword, reset.user_id]);
+    await client.query("UPDATE password_resets SET used_at = NOW() WHERE id = $1", [reset.id]);
+
+    // Semua sesi lama dicabut
+    await revokeUserSessions(reset.user_id, null, client);
+
+    await client.query("COMMIT");
+
+    // Kunci login akun ikut dibuka
+    await clearLoginFailures(loginKeys(reset.email)[0]);
+    res.status(200).json({
+      status: "success",
+      message: "Password berhasil diatur ulang, silakan login kembali"
+    });
+
+  } catch (err) {
+    await client.query("ROLLBACK");
+    res.status(500).json({ status: "error", message: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// SESSIONS
+/**
+ * @swagger
+ * /auth/sessions:
+ *   get:
+ *     summary: Lihat semua sesi login milik user yang sedang login
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: Berhasil mengambil list sesi
+ *       401:
+ *         description: Token tidak valid atau sesi sudah berakhir
+ */
+router.get("/sessions", verifyToken, async (req, res) => {
+  try {
+    const sessions = await listUserSessions(req.user.id);
+
+    res.status(200).json({
+      status: "success",
+      count: sessions.length,
+      data: sessions.map((session) => ({
+        ...session,
+        current: session.id === req.user.sid
+      }))
+    });
+
+  } catch (err) {
+    res.status(500).json({ status: "error", message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/sessions/{id}:
+ *   delete:
+ *     summary: Akhiri salah satu sesi login milik sendiri
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Sesi berhasil diakhiri
+ *       401:
+ *         description: Token tidak valid atau sesi sudah berakhir
+ *       404:
+ *         description: Sesi tidak ditemukan
+ */
+router.delete("/sessions/:id", verifyToken, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const revoked = UUID_PATTERN.test(id) && await revokeSession(req.user.id, id);
+
+    if (!revoked) {
+      return res.status(404).json({ status: "error", message: "Sesi tidak ditemukan" });
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: "Sesi berhasil diakhiri"
+    });
+
+  } catch (err) {
+    res.status(500).json({ status: "error", message: err.message });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,145 @@
+const bwipjs = require("bwip-js");
+const { createError } = require("./helper");
+const { resolveVariant } = require("./variantHelper");
+
+const BARCODE_FORMATS = ["ean13", "upca", "code128"];
+
+// Prefix GS1 20-29 khusus pemakaian internal toko, tidak bentrok dengan kode pabrik
+const INSTORE_PREFIX = "20";
+
+// ===============================
+//   VALIDASI BARCODE
+// ===============================
+// Digit cek EAN/UPC: dari kanan, bobot 3 dan 1 bergantian
+function gtinCheckDigit(digits) {
+  const sum = [...digits]
+    .reverse()
+    .reduce((total, digit, i) => total + Number(digit) * (i % 2 === 0 ? 3 : 1), 0);
+  return String((10 - (sum % 10)) % 10);
+}
+
+// Format ditebak dari panjang kode bila tidak disebutkan
+function detectFormat(code) {
+  if (/^\d{13}$/.test(code)) return "ean13";
+  if (/^\d{12}$/.test(code)) return "upca";
+  return "code128";
+}
+
+function validateBarcode(code, format) {
+  if (!BARCODE_FORMATS.includes(format)) {
+    return `format harus salah satu dari: ${BARCODE_FORMATS.join(", ")}`;
+  }
+  if (format === "code128") {
+    // Code128 menerima ASCII yang bisa dicetak; checksum dihitung saat dirender
+    return /^[\x20-\x7e]{1,48}$/.test(code) ? null : "Code128 hanya boleh berisi 1-48 karakter ASCII";
+  }
+
+  const length = format === "ean13" ? 13 : 12;
+  if (!new RegExp(`^\\d{${length}}$`).test(code)) return `${format.toUpperCase()} harus ${length} digit angka`;
+  if (gtinCheckDigit(code.slice(0, -1)) !== code.slice(-1)) {
+    return `Digit cek ${format.toUpperCase()} tidak valid`;
+  }
+  return null;
+}
+
+// EAN-13 berawalan 0 adalah UPC-A yang sama (pola batang identik); scanner bisa
+// melaporkan salah satunya, jadi disimpan dan dicari dalam bentuk UPC-A 12 digit
+function normalizeBarcode(code, format) {
+  if (format === "ean13" && /^0\d{12}$/.test(code)) return { code: code.slice(1), format: "upca" };
+  return { code, format };
+}
+
+// EAN-13 toko: prefix 20 + id varian 10 digit + digit cek
+function generateInstoreEan13(variantId) {
+  const body = `${INSTORE_PREFIX}${String(variantId).padStart(10, "0")}`;
+  return body + gtinCheckDigit(body);
+}
+
+// ===============================
+//   SIMPAN / CARI BARCODE
+// ===============================
+// Tanpa code → dibuatkan EAN-13 toko untuk varian tersebut
+async function addBarcode(db, productId, { code, format, variant_id, size, color }) {
+  const variant = await resolveVariant(db, { product_id: productId, variant_id, size, color });
+
+  const raw = code == null ? generateInstoreEan13(variant.variant_id) : String(code).trim();
+  const rawFormat = code == null ? "ean13" : format || detectFormat(raw);
+  const err = validateBarcode(raw, rawFormat);
+  if (err) throw createError(400, err);
+  const { code: value, format: finalFormat } = normalizeBarcode(raw, rawFormat);
+
+  try {
+    const { rows } = await db.query(
+      `INSERT INTO product_barcodes (product_id, variant_id, code, format)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [variant.product_id, variant.variant_id, value, finalFormat]
+    );
+    return rows[0];
+  } catch (e) {
+    // 23505 = unique_violation
+    if (e.code === "23505") throw createError(400, `Barcode ${value} sudah terdaftar`);
+    throw e;
+  }
+}
+
+async function getProductBarcodes(db, productId) {
+  const { rows } = await db.query(
+    `SELECT b.*, v.size, v.color, v.sku
+     FROM product_barcodes b
+     JOIN product_variants v ON v.id = b.variant_id
+     WHERE b.product_id = $1
+     ORDER BY b.id ASC`,
+    [productId]
+  );
+  return rows;
+}
+
+// Kode hasil scan dicocokkan ke barcode dulu (EAN-13 berawalan 0 juga dicoba
+// sebagai UPC-A), lalu ke SKU varian
+async function findVariantByCode(db, code) {
+  const value = String(code).trim();
+  const { code: normalized } = normalizeBarcode(value, detectFormat(value));
+  const { rows } = await db.query(
+    `SELECT b.variant_id, b.id AS barcode_id, b.format, 'barcode' AS matched_by
+     FROM product_barcodes b
+     WHERE b.code IN ($1, $2)
+     UNION ALL
+     SELECT v.id, NULL, NULL, 'sku'
+     FROM product_variants v
+     WHERE UPPER(v.sku) = UPPER($1)
+     ORDER BY matched_by ASC
+     LIMIT 1`,
+    [value, normalized]
+  );
+  return rows[0] || null;
+}
+
+// ===============================
+//   LABEL BARCODE (SVG/PNG)
+// ===============================
+// Dirender lokal dengan bwip-js, tanpa layanan eksternal
+async function renderBarcode(barcode, type = "svg") {
+  const options = {
+    bcid: barcode.format,
+    text: barcode.code,
+    scale: 3,
+    height: 12,
+    includetext: true,
+    textxalign: "center",
+  };
+  if (type === "svg") return bwipjs.toSVG(options);
+  if (type === "png") return bwipjs.toBuffer(options);
+  throw createError(400, "type label harus 'svg' atau 'png'");
+}
+
+module.exports = {
+  BARCODE_FORMATS,
+  detectFormat,
+  validateBarcode,
+  generateInstoreEan13,
+  addBarcode,
+  getProductBarcodes,
+  findVariantByCode,
+  renderBarcode,
+};
@@ -0,0 +1,165 @@
+const { createError } = require("./helper");
+const { placeOrder } = require("./orderHelper");
+const { resolveVariant, variantLabel } = require("./variantHelper");
+
+// ===============================
+//   BUAT / AMBIL KERANJANG
+// ===============================
+async function createCart(db, { user_id, customer_id = null }) {
+  const { rows } = await db.query(
+    "INSERT INTO carts (user_id, customer_id) VALUES ($1, $2) RETURNING *",
+    [user_id, customer_id]
+  );
+  return rows[0];
+}
+
+// Keranjang customer: paling banyak satu berstatus 'open', dibuat otomatis
+async function getOpenCart(db, userId) {
+  const existing = await db.query(
+    `SELECT * FROM carts
+     WHERE user_id = $1 AND customer_id = $1 AND status = 'open'
+     ORDER BY id DESC LIMIT 1`,
+    [userId]
+  );
+  if (existing.rows.length > 0) return existing.rows[0];
+
+  return createCart(db, { user_id: userId, customer_id: userId });
+}
+
+async function findCart(db, cartId) {
+  const { rows } = await db.query("SELECT * FROM carts WHERE id = $1", [cartId]);
+  if (rows.length === 0) throw createError(404, "Keranjang tidak ditemukan");
+  return rows[0];
+}
+
+function assertOpen(cart) {
+  if (cart.status !== "open") throw createError(400, `Keranjang sudah berstatus '${cart.status}'`);
+}
+
+// ===============================
+//   ISI KERANJANG + VALIDASI ULANG
+// ===============================
+// Harga, ketersediaan, dan stok selalu dicek ulang ke varian produk.
+// Item bermasalah diberi daftar issues; keranjang hanya bisa jadi order bila valid.
+async function getCartDetail(db, cart) {
+  const { rows } = await db.query(
+    `SELECT ci.id, ci.product_id, ci.variant_id, p.name, v.size, v.color, v.sku, ci.quantity,
+            ci.price_at_add, COALESCE(v.price, p.price) AS unit_price,
+            (p.available AND v.available) AS available, v.stock
+     FROM cart_items ci
+     JOIN products p ON p.id = ci.product_id
+     JOIN product_variants v ON v.id = ci.variant_id
+     WHERE ci.cart_id = $1
+     ORDER BY ci.id ASC`,
+    [cart.id]
+  );
+
+  let total = 0;
+  const items = rows.map((row) => {
+    const issues = [];
+    if (row.price_at_add != null && Number(row.price_at_add) !== Number(row.unit_price)) {
+      issues.push(`Harga berubah dari ${row.price_at_add} menjadi ${row.unit_price}`);
+    }
+    if (!row.available) issues.push("Produk tidak tersedia");
+    else if (row.stock < row.quantity) issues.push(`Stok tidak mencukupi (sisa ${row.stock})`);
+
+    const subtotal = Number(row.unit_price) * row.quantity;
+    total += subtotal;
+    return { ...row, subtotal: subtotal.toFixed(2), issues };
+  });
+
+  // Perubahan harga hanya informasi; produk tidak tersedia / stok kurang memblokir order
+  const valid = items.length > 0 && items.every((item) => item.available && item.stock >= item.quantity);
+
+  return { ...cart, items, total_amount: total.toFixed(2), valid };
+}
+
+// ===============================
+//   TAMBAH / UBAH ITEM KERANJANG
+// ===============================
+// Varian dipilih lewat variant_id, atau product_id + size/color
+async function addCartItem(db, cartId, { product_id, variant_id, quantity, size, color }) {
+  if ((!product_id && !variant_id) || !Number.isInteger(Number(quantity)) || Number(quantity) <= 0) {
+    throw createError(400, "product_id/variant_id dan quantity (bilangan bulat > 0) wajib diisi");
+  }
+
+  const variant = await resolveVariant(db, { product_id, variant_id, size, color });
+  if (!variant.available) throw createError(400, `Produk '${variantLabel(variant)}' tidak tersedia`);
+
+  const { rows } = await db.query(
+    `INSERT INTO cart_items (cart_id, product_id, variant_id, quantity, size, color, price_at_add)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ON CONFLICT (cart_id, variant_id)
+     DO UPDATE SET quantity = cart_items.quantity + EXCLUDED.quantity
+     RETURNING *`,
+    [cartId, variant.product_id, variant.variant_id, Number(quantity), variant.size, variant.color, variant.price]
+  );
+  await db.query("UPDATE carts SET updated_at = NOW() WHERE id = $1", [cartId]);
+  return rows[0];
+}
+
+async function updateCartItem(db, cartId, itemId, quantity) {
+  if (!Number.isInteger(Number(quantity)) || Number(quantity) <= 0) {
+    throw createError(400, "quantity harus bilangan bulat lebih dari 0");
+  }
+
+  const { rows } = await db.query(
+    `UPDATE cart_items SET quantity = $1
+     WHERE cart_id = $2 AND id = $3
+     RETURNING *`,
+    [Number(quantity), cartId, itemId]
+  );
+  if (rows.length === 0) throw createError(404, "Item tidak ada di keranjang");
+  await db.query("UPDATE carts SET updated_at = NOW() WHERE id = $1", [cartId]);
+  return rows[0];
+}
+
+async function removeCartItem(db, cartId, itemId) {
+  const { rows } = await db.query(
+    "DELETE FROM cart_items WHERE cart_id = $1 AND id = $2 RETURNING *",
+    [cartId, itemId]
+  );
+  if (rows.length === 0) throw createError(404, "Item tidak ada di keranjang");
+  await db.query("UPDATE carts SET updated_at = NOW() WHERE id = $1", [cartId]);
+  return rows[0];
+}
+
+// ===============================
+//   KERANJANG → ORDER
+// ===============================
+// Harus dipanggil di dalam transaksi; harga di-snapshot dan stok dikurangi lewat placeOrder
+async function convertCartToOrder(client, cartId, { changed_by = null } = {}) {
+  const cart = await client.query("SELECT * FROM carts WHERE id = $1 FOR UPDATE", [cartId]);
+  if (cart.rows.length === 0) throw createError(404, "Keranjang tidak ditemukan");
+  assertOpen(cart.rows[0]);
+
+  const { rows: items } = await client.query(
+    "SELECT product_id, variant_id, quantity FROM cart_items WHERE cart_id = $1 ORDER BY id ASC",
+    [cartId]
+  );
+  if (items.length === 0) throw createError(400, "Keranjang masih kosong");
+
+  const result = await placeOrder(client, {
+    customer_id: cart.rows[0].customer_id,
+    items,
+    changed_by,
+  });
+
+  await client.query(
+    "UPDATE carts SET status = 'converted', order_id = $1, updated_at = NOW() WHERE id = $2",
+    [result.order.id, cartId]
+  );
+  return result;
+}
+
+module.exports = {
+  createCart,
+  getOpenCart,
+  findCart,
+  assertOpen,
+  getCartDetail,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  convertCartToOrder,
+};
@@ -0,0 +1,357 @@
+const express = require("express");
+const router = express.Router();
+const pool = require("../db/pool");
+const {
+  createCart,
+  findCart,
+  assertOpen,
+  getCartDetail,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  convertCartToOrder,
+} = require("../helper/cartHelper");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Carts
+ *   description: Keranjang belanja kasir sebelum dijadikan order
+ */
+
+// ==============================
+// GET semua keranjang aktif
+// ==============================
+/**
+ * @swagger
+ * /carts:
+ *   get:
+ *     summary: Ambil semua keranjang yang masih open
+ *     tags: [Carts]
+ *     responses:
+ *       200:
+ *         description: Berhasil mengambil list keranjang
+ */
+router.get("/", async (_req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT c.*, COUNT(ci.id)::int AS item_count
+       FROM carts c
+       LEFT JOIN cart_items ci ON ci.cart_id = c.id
+       WHERE c.status = 'open'
+       GROUP BY c.id
+       ORDER BY c.updated_at DESC`
+    );
+    res.status(200).json({ status: "success", count: rows.length, data: rows });
+  } catch (err) {
+    res.status(500).json({ status: "error", message: err.message });
+  }
+});
+
+// ==============================
+// GET keranjang by ID
+// ==============================
+/**
+ * @swagger
+ * /carts/{id}:
+ *   get:
+ *     summary: Lihat isi keranjang (harga, ketersediaan, dan stok dicek ulang)
+ *     tags: [Carts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Keranjang ditemukan
+ *       404:
+ *         description: Keranjang tidak ditemukan
+ */
+router.get("/:id", async (req, res) => {
+  try {
+    const cart = await findCart(pool, req.params.id);
+    res.status(200).json({ status: "success", data: await getCartDetail(pool, cart) });
+  } catch (err) {
+    res.status(err.status || 500).json({ status: "error", message: err.message });
+  }
+});
+
+// ==============================
+// CREATE keranjang
+// ==============================
+/**
+ * @swagger
+ * /carts:
+ *   post:
+ *     summary: Buat keranjang baru
+ *     tags: [Carts]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               customer_id:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Keranjang berhasil dibuat
+ */
+router.post("/", async (req, res) => {
+  try {
+    const cart = await createCart(pool, {
+      user_id: req.user.id,
+      customer_id: req.body?.customer_id || null,
+    });
+    res.status(201).json({
+      status: "success",
+      message: "Keranjang berhasil dibuat",
+      data: await getCartDetail(pool, cart),
+    });
+  } catch (err) {
+    res.status(500).json({ status: "error", message: err.message });
+  }
+});
+
+// ==============================
+// Tambah item keranjang
+// ==============================
+/**
+ * @swagger
+ * /carts/{id}/items:
+ *   post:
+ *     summary: Tambah produk ke keranjang
+ *     tags: [Carts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - quantity
+ *             properties:
+ *               product_id:
+ *                 type: integer
+ *               variant_id:
+ *                 type: integer
+ *                 description: Wajib bila produk punya lebih dari satu varian (atau pilih lewat size/color)
+ *               quantity:
+ *                 type: integer
+ *               size:
+ *                 type: string
+ *               color:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Produk ditambahkan ke keranjang
+ *       400:
+ *         description: Input tidak valid, produk tidak tersedia, atau keranjang sudah diproses
+ *       404:
+ *         description: Keranjang atau produk tidak ditemukan
+ */
+router.post("/:id/items", async (req, res) => {
+  try {
+    const cart = await findCart(pool, req.params.id);
+    assertOpen(cart);
+    await addCartItem(pool, cart.id, req.body);
+    res.status(201).json({
+      status: "success",
+      message: "Produk ditambahkan ke keranjang",
+      data: await getCartDetail(pool, cart),
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({ status: "error", message: err.message });
+  }
+});
+
+// ==============================
+// Update item keranjang
+// ==============================
+/**
+ * @swagger
+ * /carts/{id}/items/{item_id}:
+ *   put:
+ *     summary: Ubah jumlah produk di keranjang
+ *     tags: [Carts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: item_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID item keranjang
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - quantity
+ *             properties:
+ *               quantity:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Keranjang diperbarui
+ *       404:
+ *         description: Keranjang tidak ditemukan atau produk tidak ada di keranjang
+ */
+router.put("/:id/items/:item_id", async (req, res) => {
+  try {
+    const cart = await findCart(pool, req.params.id);
+    assertOpen(cart);
+    await updateCartItem(pool, cart.id, req.params.item_id, req.body.quantity);
+    res.status(200).json({
+      status: "success",
+      message: "Keranjang diperbarui",
+      data: await getCartDetail(pool, cart),
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({ status: "error", message: err.message });
+  }
+});
+
+// ==============================
+// Hapus item keranjang
+// ==============================
+/**
+ * @swagger
+ * /carts/{id}/items/{item_id}:
+ *   delete:
+ *     summary: Hapus produk dari keranjang
+ *     tags: [Carts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: item_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID item keranjang
+ *     responses:
+ *       200:
+ *         description: Produk dihapus dari keranjang
+ *       404:
+ *         description: Keranjang tidak ditemukan atau produk tidak ada di keranjang
+ */
+router.delete("/:id/items/:item_id", async (req, res) => {
+  try {
+    const cart = await findCart(pool, req.params.id);
+    assertOpen(cart);
+    await removeCartItem(pool, cart.id, req.params.item_id);
+    res.status(200).json({
+      status: "success",
+      message: "Produk dihapus dari keranjang",
+      data: await getCartDetail(pool, cart),
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({ status: "error", message: err.message });
+  }
+});
+
+// ==============================
+// Keranjang → order
+// ==============================
+/**
+ * @swagger
+ * /carts/{id}/checkout:
+ *   post:
+ *     summary: Jadikan keranjang sebagai order (harga di-snapshot, stok dikurangi)
+ *     tags: [Carts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       201:
+ *         description: Order berhasil dibuat dari keranjang
+ *       400:
+ *         description: Keranjang kosong/sudah diproses, produk tidak tersedia, atau stok tidak mencukupi
+ *       404:
+ *         description: Keranjang tidak ditemukan
+ */
+router.post("/:id/checkout", async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const { order, items } = await convertCartToOrder(client, req.params.id, {
+      changed_by: req.user.id,
+    });
+    await client.query("COMMIT");
+
+    res.status(201).json({
+      status: "success",
+      message: "Order berhasil dibuat dari keranjang",
+      data: { ...order, items },
+    });
+  } catch (err) {
+    await client.query("ROLLBACK");
+    res.status(err.status || 500).json({ status: "error", message: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// ==============================
+// Batalkan keranjang
+// ==============================
+/**
+ * @swagger
+ * /carts/{id}:
+ *   delete:
+ *     summary: Batalkan keranjang yang masih open
+ *     tags: [Carts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Keranjang dibatalkan
+ *       404:
+ *         description: Keranjang tidak ditemukan atau sudah diproses
+ */
+router.delete("/:id", async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `UPDATE carts SET status = 'abandoned', updated_at = NOW()
+       WHERE id = $1 AND status = 'open'
+       RETURNING *`,
+      [req.params.id]
+    );
+    if (rows.length === 0) {
+      return res.status(404).json({
+        status: "error",
+        message: "Keranjang tidak ditemukan atau sudah diproses",
+      });
+    }
+    res.status(200).json({ status: "success", message: "Keranjang dibatalkan", data: rows[0] });
+  } catch (err) {
+    res.status(500).json({ status: "error", message: err.message });
+  }
+});
+
+module.exports = router;
@@ -1,14 +1,26 @@
 const express = require("express");
 const pool = require("../db/pool");
 const router = express.Router();
+const {
+  getCategories,
+  buildCategoryTree,
+  getDescendantIds,
+  assertValidParent,
+} = require("../helper/categoryHelper");
 
 // ✅ GET semua kategori
 /**
  * @swagger
  * /categories:
  *   get:
- *     summary: Ambil semua kategori
+ *     summary: Ambil semua kategori beserta jumlah produknya
  *     tags: [Categories]
+ *     parameters:
+ *       - in: query
+ *         name: tree
+ *         schema:
+ *           type: boolean
+ *         description: Susun sebagai pohon (sub-kategori di field children)
  *     responses:
  *       200:
  *         description: Berhasil mengambil list kategori
@@ -16,12 +28,12 @@ const router = express.Router();
  *         description: Server error
  */
 
-router.get("/", async (_req, res) => {
+router.get("/", async (req, res) => {
   try {
-    const result = await pool.query("SELECT * FROM categories ORDER BY id ASC");
+    const rows = await getCategories(pool);
     res.status(200).json({
       status: "success",
-      data: result.rows,
+      data: req.query.tree === "true" ? buildCategoryTree(rows) : rows,
     });
   } catch (err) {
     res.status(500).json({ status: "error", message: err.message });
@@ -43,7 +55,7 @@ router.get("/", async (_req, res) => {
  *           type: integer
  *     responses:
  *       200:
- *         description: Kategori ditemukan
+ *         description: Kategori ditemukan beserta sub-kategori langsungnya
  *       404:
  *         description: Kategori tidak ditemukan
  *       500:
@@ -52,15 +64,19 @@ router.get("/", async (_req, res) => {
 router.get("/:id", async (req, res) => {
   const { id } = req.params;
   try {
-    const result = await pool.query("SELECT * FROM categories WHERE id = $1", [id]);
+    const rows = await getCategories(pool, { id });
 
-    if (result.rowCount === 0) {
+    if (rows.length === 0) {
       return res.status(404).json({ status: "error", message: "Kategori tidak ditemukan" });
     }
 
+    const children = await pool.query(
+      "SELECT * FROM categories WHERE parent_id = $1 ORDER BY id ASC",
+      [id]
+    );
     res.status(200).json({
       status: "success",
-      data: result.rows[0],
+      data: { ...rows[0], children: children.rows },
     });
   } catch (err) {
     res.status(500).json({ status: "error", message: err.message });
@@ -85,6 +101,9 @@ router.get("/:id", async (req, res) => {
  *                 type: string
  *               description:
  *                 type: string
+ *               parent_id:
+ *                 type: integer
+ *                 description: Kosongkan untuk kategori utama
  *             required:
  *               - name
  *     responses:
@@ -92,12 +111,14 @@ router.get("/:id", async (req, res) => {
  *         description: Kategori berhasil ditambahkan
  *       400:
  *         description: Nama kategori wajib diisi
+ *       404:
+ *         description: Kategori induk tidak ditemukan
  *       500:
  *         description: Server error
  */
 
 router.post("/", async (req, res) => {
-  const { name, description } = req.body;
+  const { name, description, parent_id } = req.body;
 
   if (!name) {
     return res.status(400).json({
@@ -107,9 +128,10 @@ router.post("/", async (req, res) => {
   }
 
   try {
+    await assertValidParent(pool, null, parent_id);
     const result = await pool.query(
-      "INSERT INTO categories (name, description) VALUES ($1, $2) RETURNING *",
-      [name, description || null]
+      "INSERT INTO categories (name, description, parent_id) VALUES ($1, $2, $3) RETURNING *",
+      [name, description || null, parent_id || null]
     );
 
     res.status(201).json({
@@ -118,7 +140,7 @@ router.post("/", async (req, res) => {
       data: result.rows[0],
     });
   } catch (err) {
-    res.status(500).json({ status: "error", message: err.message });
+    res.status(err.status || 500).json({ status: "error", message: err.message });
   }
 });
 
@@ -146,26 +168,35 @@ router.post("/", async (req, res) => {
  *                 type: string
  *               description:
  *                 type: string
+ *               parent_id:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: null = jadikan kategori utama, tidak dikirim = tidak diubah
  *     responses:
  *       200:
  *         description: Kategori berhasil diperbarui
+ *       400:
+ *         description: Kategori induk membentuk siklus
  *       404:
- *         description: Kategori tidak ditemukan
+ *         description: Kategori atau kategori induk tidak ditemukan
  *       500:
  *         description: Server error
  */
 
 router.put("/:id", async (req, res) => {
   const { id } = req.params;
-  const { name, description } = req.body;
+  const { name, description, parent_id } = req.body;
+  const parentGiven = Object.prototype.hasOwnProperty.call(req.body, "parent_id");
 
   try {
+    if (parentGiven) await assertValidParent(pool, id, parent_id);
     const result = await pool.query(
       `UPDATE categories
-       SET name = $1, description = $2
-       WHERE id = $3
+       SET name = $1, description = $2,
+           parent_id = CASE WHEN $3::boolean THEN $4::int ELSE parent_id END
+       WHERE id = $5
        RETURNING *`,
-      [name, description, id]
+      [name, description, parentGiven, parent_id || null, id]
     );
 
     if (result.rowCount === 0) {
@@ -178,7 +209,7 @@ router.put("/:id", async (req, res) => {
       data: result.rows[0],
     });
   } catch (err) {
-    res.status(500).json({ status: "error", message: err.message });
+    res.status(err.status || 500).json({ status: "error", message: err.message });
   }
 });
 
@@ -188,6 +219,9 @@ router.put("/:id", async (req, res) => {
  * /categories/{id}:
  *   delete:
  *     summary: Hapus kategori berdasarkan ID
+ *     description: |
+ *       Ditolak jika masih ada produk di kategori ini, kecuali reassign_to diisi:
+ *       produknya dipindah ke kategori tersebut. Sub-kategori naik ke induk kategori yang dihapus.
  *     tags: [Categories]
  *     parameters:
  *       - in: path
@@ -195,9 +229,16 @@ router.put("/:id", async (req, res) => {
  *         required: true
  *         schema:
  *           type: integer
+ *       - in: query
+ *         name: reassign_to
+ *         schema:
+ *           type: integer
+ *         description: Kategori tujuan untuk produk yang masih ada di kategori ini
  *     responses:
  *       200:
  *         description: Kategori berhasil dihapus
+ *       400:
+ *         description: Masih ada produk di kategori ini atau kategori tujuan tidak valid
  *       404:
  *         description: Kategori tidak ditemukan
  *       500:
@@ -206,20 +247,72 @@ router.put("/:id", async (req, res) => {
 
 router.delete("/:id", async (req, res) => {
   const { id } = req.params;
+  const reassignTo = req.query.reassign_to;
+
+  if (reassignTo != null && !Number.isInteger(Number(reassignTo))) {
+    return res.status(400).json({ status: "failed", message: "reassign_to harus ID kategori" });
+  }
 
+  const client = await pool.connect();
   try {
-    const result = await pool.query("DELETE FROM categories WHERE id = $1", [id]);
+    await client.query("BEGIN");
 
+    const result = await client.query("SELECT * FROM categories WHERE id = $1 FOR UPDATE", [id]);
     if (result.rowCount === 0) {
+      await client.query("ROLLBACK");
       return res.status(404).json({ status: "error", message: "Kategori tidak ditemukan" });
     }
+    const category = result.rows[0];
+
+    const products = await client.query(
+      "SELECT COUNT(*)::int AS total FROM products WHERE category_id = $1",
+      [category.id]
+    );
+    const productCount = products.rows[0].total;
+
+    if (productCount > 0 && !reassignTo) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({
+        status: "failed",
+        message: `Masih ada ${productCount} produk di kategori ini, isi reassign_to untuk memindahkannya`,
+      });
+    }
+
+    if (reassignTo) {
+      // Tujuan tidak boleh kategori ini sendiri atau sub-kategorinya
+      const target = await client.query("SELECT id FROM categories WHERE id = $1", [reassignTo]);
+      const descendants = await getDescendantIds(client, category.id);
+      if (target.rowCount === 0 || descendants.includes(Number(reassignTo))) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({
+          status: "failed",
+          message: "reassign_to harus kategori lain yang ada dan bukan sub-kategori dari kategori ini",
+        });
+      }
+      await client.query("UPDATE products SET category_id = $1 WHERE category_id = $2", [
+        reassignTo,
+        category.id,
+      ]);
+    }
+
+    await client.query("UPDATE categories SET parent_id = $1 WHERE parent_id = $2", [
+      category.parent_id,
+      category.id,
+    ]);
+    await client.query("DELETE FROM categories WHERE id = $1", [category.id]);
+    await client.query("COMMIT");
 
     res.status(200).json({
       status: "success",
-      message: "Kategori berhasil dihapus",
+      message: productCount > 0
+        ? `Kategori berhasil dihapus, ${productCount} produk dipindah ke kategori ${reassignTo}`
+        : "Kategori berhasil dihapus",
     });
   } catch (err) {
-    res.status(500).json({ status: "error", message: err.message });
+    await client.query("ROLLBACK");
+    res.status(err.status || 500).json({ status: "error", message: err.message });
+  } finally {
+    client.release();
   }
 });
 
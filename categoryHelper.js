@@ -0,0 +1,98 @@
+const { createError } = require("./helper");
+
+// ===============================
+//   KATEGORI + JUMLAH PRODUK
+// ===============================
+// product_count = produk langsung di kategori ini,
+// total_product_count = termasuk semua sub-kategori di bawahnya.
+async function getCategories(db, { id = null } = {}) {
+  const { rows } = await db.query(
+    `WITH RECURSIVE tree AS (
+       SELECT id AS root_id, id FROM categories
+       UNION ALL
+       SELECT tree.root_id, c.id FROM categories c JOIN tree ON c.parent_id = tree.id
+     )
+     SELECT c.*,
+            (SELECT COUNT(*) FROM products p WHERE p.category_id = c.id)::int AS product_count,
+            (SELECT COUNT(*) FROM tree JOIN products p ON p.category_id = tree.id
+             WHERE tree.root_id = c.id)::int AS total_product_count
+     FROM categories c
+     WHERE $1::int IS NULL OR c.id = $1
+     ORDER BY c.id ASC`,
+    [id]
+  );
+  return rows;
+}
+
+// Susun list datar menjadi pohon (children) berdasarkan parent_id
+function buildCategoryTree(categories) {
+  const nodes = new Map(categories.map((category) => [category.id, { ...category, children: [] }]));
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = nodes.get(node.parent_id);
+    if (parent) parent.children.push(node);
+    else roots.push(node);
+  }
+  return roots;
+}
+
+// id kategori beserta semua turunannya
+async function getDescendantIds(db, categoryId) {
+  const { rows } = await db.query(
+    `WITH RECURSIVE tree AS (
+       SELECT id FROM categories WHERE id = $1
+       UNION ALL
+       SELECT c.id FROM categories c JOIN tree ON c.parent_id = tree.id
+     )
+     SELECT id FROM tree`,
+    [categoryId]
+  );
+  return rows.map((row) => row.id);
+}
+
+// ===============================
+//   VALIDASI PARENT
+// ===============================
+// Parent harus ada dan tidak boleh kategori itu sendiri atau turunannya (mencegah siklus)
+async function assertValidParent(db, categoryId, parentId) {
+  if (parentId == null) return;
+  if (!Number.isInteger(Number(parentId))) throw createError(400, "parent_id harus ID kategori");
+
+  const parent = await db.query("SELECT id FROM categories WHERE id = $1", [parentId]);
+  if (parent.rows.length === 0) throw createError(404, `Kategori induk ${parentId} tidak ditemukan`);
+
+  if (categoryId != null) {
+    const descendants = await getDescendantIds(db, categoryId);
+    if (descendants.includes(Number(parentId))) {
+      throw createError(400, "Kategori induk tidak boleh kategori itu sendiri atau sub-kategorinya");
+    }
+  }
+}
+
+// ===============================
+//   KATEGORI PRODUK
+// ===============================
+// Produk menunjuk kategori lewat category_id; nama (category) masih diterima
+// untuk klien lama dan dicocokkan tanpa membedakan huruf besar/kecil.
+async function resolveCategoryId(db, { category_id, category }) {
+  if (category_id != null) {
+    const { rows } = await db.query("SELECT id FROM categories WHERE id = $1", [category_id]);
+    if (rows.length === 0) throw createError(400, `Kategori ${category_id} tidak ditemukan`);
+    return rows[0].id;
+  }
+
+  const { rows } = await db.query(
+    "SELECT id FROM categories WHERE LOWER(name) = LOWER($1) ORDER BY id ASC LIMIT 1",
+    [category]
+  );
+  if (rows.length === 0) throw createError(400, `Kategori '${category}' tidak ditemukan`);
+  return rows[0].id;
+}
+
+module.exports = {
+  getCategories,
+  buildCategoryTree,
+  getDescendantIds,
+  assertValidParent,
+  resolveCategoryId,
+};
@@ -0,0 +1,97 @@
+const express = require("express");
+const router = express.Router();
+const pool = require("../db/pool");
+const { placeOrder } = require("../helper/orderHelper");
+const { createPayment } = require("../helper/paymentHelper");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Checkout
+ *   description: Checkout kasir dalam satu transaksi database
+ */
+
+/**
+ * @swagger
+ * /checkout:
+ *   post:
+ *     summary: Checkout - buat order, kurangi stok, dan catat transaksi sekaligus
+ *     description: Pembayaran langsung captured sebesar total order sehingga order otomatis berstatus paid.
+ *     tags: [Checkout]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               customer_id:
+ *                 type: integer
+ *               payment_method:
+ *                 type: string
+ *                 enum: [cash, debit_card, credit_card, qris, bank_transfer, e_wallet]
+ *                 default: cash
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     product_id:
+ *                       type: integer
+ *                     variant_id:
+ *                       type: integer
+ *                       description: Wajib bila produk punya lebih dari satu varian
+ *                     quantity:
+ *                       type: integer
+ *     responses:
+ *       201:
+ *         description: Checkout berhasil
+ *       400:
+ *         description: Item tidak valid, produk tidak tersedia, atau stok tidak mencukupi
+ *       404:
+ *         description: Produk tidak ditemukan
+ *       500:
+ *         description: Server error
+ */
+router.post("/", async (req, res) => {
+  const { customer_id, payment_method, items } = req.body;
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const { order: placed, items: orderItems } = await placeOrder(client, {
+      customer_id,
+      items,
+      changed_by: req.user.id,
+    });
+
+    const transaction = await createPayment(client, {
+      order_id: placed.id,
+      payment_method: payment_method || "cash",
+      amount: placed.total_amount,
+      status: "captured",
+      changedBy: req.user.id,
+    });
+    const { rows } = await client.query("SELECT * FROM orders WHERE id = $1", [placed.id]);
+
+    await client.query("COMMIT");
+    res.status(201).json({
+      status: "success",
+      message: "Checkout berhasil",
+      data: {
+        order: { ...rows[0], items: orderItems },
+        transaction,
+      },
+    });
+  } catch (err) {
+    await client.query("ROLLBACK");
+    res.status(err.status || 500).json({ status: "error", message: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,433 @@
+const express = require("express");
+const router = express.Router();
+const pool = require("../db/pool");
+const { getOrderItems } = require("../helper/orderHelper");
+const { transitionOrder, getStatusHistory } = require("../helper/orderStatus");
+const { getOrderBalance } = require("../helper/paymentHelper");
+const { getProductVariants } = require("../helper/variantHelper");
+const {
+  getOpenCart,
+  getCartDetail,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  convertCartToOrder,
+} = require("../helper/cartHelper");
+
+// Semua data customer diambil dari req.user.id, bukan dari body/params
+
+/**
+ * @swagger
+ * tags:
+ *   name: Customer
+ *   description: Self-service untuk customer (produk, keranjang, order milik sendiri)
+ */
+
+// ==============================
+// PRODUK
+// ==============================
+/**
+ * @swagger
+ * /customer/products:
+ *   get:
+ *     summary: Lihat produk yang tersedia
+ *     tags: [Customer]
+ *     responses:
+ *       200:
+ *         description: Berhasil mengambil list produk
+ */
+router.get("/products", async (_req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT p.id, p.name, p.price, p.size, p.color, p.category_id, c.name AS category, p.stock > 0 AS in_stock
+       FROM products p
+       LEFT JOIN categories c ON c.id = p.category_id
+       WHERE p.available = TRUE
+       ORDER BY p.id ASC`
+    );
+    res.status(200).json({ status: "success", count: rows.length, data: rows });
+  } catch (err) {
+    res.status(500).json({ status: "error", message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /customer/products/{id}:
+ *   get:
+ *     summary: Lihat detail produk yang tersedia
+ *     tags: [Customer]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Produk ditemukan beserta varian yang tersedia
+ *       404:
+ *         description: Produk tidak ditemukan
+ */
+router.get("/products/:id", async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT p.id, p.name, p.price, p.size, p.color, p.category_id, c.name AS category, p.stock > 0 AS in_stock
+       FROM products p
+       LEFT JOIN categories c ON c.id = p.category_id
+       WHERE p.id = $1 AND p.available = TRUE`,
+      [req.params.id]
+    );
+    if (rows.length === 0) {
+      return res.status(404).json({ status: "error", message: "Produk tidak ditemukan" });
+    }
+    const variants = await getProductVariants(pool, rows[0].id, { onlyAvailable: true });
+    res.status(200).json({
+      status: "success",
+      data: {
+        ...rows[0],
+        variants: variants.map(({ stock, ...variant }) => ({ ...variant, in_stock: stock > 0 })),
+      },
+    });
+  } catch (err) {
+    res.status(500).json({ status: "error", message: err.message });
+  }
+});
+
+// ==============================
+// KERANJANG
+// ==============================
+/**
+ * @swagger
+ * /customer/cart:
+ *   get:
+ *     summary: Lihat isi keranjang beserta total (harga, ketersediaan, dan stok dicek ulang)
+ *     tags: [Customer]
+ *     responses:
+ *       200:
+ *         description: Berhasil mengambil keranjang
+ */
+router.get("/cart", async (req, res) => {
+  try {
+    const cart = await getOpenCart(pool, req.user.id);
+    res.status(200).json({ status: "success", data: await getCartDetail(pool, cart) });
+  } catch (err) {
+    res.status(500).json({ status: "error", message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /customer/cart/items:
+ *   post:
+ *     summary: Tambah produk ke keranjang
+ *     tags: [Customer]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - quantity
+ *             properties:
+ *               product_id:
+ *                 type: integer
+ *               variant_id:
+ *                 type: integer
+ *                 description: Wajib bila produk punya lebih dari satu varian (atau pilih lewat size/color)
+ *               quantity:
+ *                 type: integer
+ *               size:
+ *                 type: string
+ *               color:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Produk ditambahkan ke keranjang
+ *       400:
+ *         description: Input tidak valid atau produk tidak tersedia
+ *       404:
+ *         description: Produk tidak ditemukan
+ */
+router.post("/cart/items", async (req, res) => {
+  try {
+    const cart = await getOpenCart(pool, req.user.id);
+    await addCartItem(pool, cart.id, req.body);
+    res.status(201).json({
+      status: "success",
+      message: "Produk ditambahkan ke keranjang",
+      data: await getCartDetail(pool, cart),
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({ status: "error", message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /customer/cart/items/{item_id}:
+ *   put:
+ *     summary: Ubah jumlah produk di keranjang
+ *     tags: [Customer]
+ *     parameters:
+ *       - in: path
+ *         name: item_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID item keranjang
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - quantity
+ *             properties:
+ *               quantity:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Keranjang diperbarui
+ *       404:
+ *         description: Produk tidak ada di keranjang
+ */
+router.put("/cart/items/:item_id", async (req, res) => {
+  try {
+    const cart = await getOpenCart(pool, req.user.id);
+    await updateCartItem(pool, cart.id, req.params.item_id, req.body.quantity);
+    res.status(200).json({
+      status: "success",
+      message: "Keranjang diperbarui",
+      data: await getCartDetail(pool, cart),
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({ status: "error", message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /customer/cart/items/{item_id}:
+ *   delete:
+ *     summary: Hapus produk dari keranjang
+ *     tags: [Customer]
+ *     parameters:
+ *       - in: path
+ *         name: item_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID item keranjang
+ *     responses:
+ *       200:
+ *         description: Produk dihapus dari keranjang
+ *       404:
+ *         description: Produk tidak ada di keranjang
+ */
+router.delete("/cart/items/:item_id", async (req, res) => {
+  try {
+    const cart = await getOpenCart(pool, req.user.id);
+    await removeCartItem(pool, cart.id, req.params.item_id);
+    res.status(200).json({
+      status: "success",
+      message: "Produk dihapus dari keranjang",
+      data: await getCartDetail(pool, cart),
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({ status: "error", message: err.message });
+  }
+});
+
+// ==============================
+// ORDER
+// ==============================
+/**
+ * @swagger
+ * /customer/orders:
+ *   post:
+ *     summary: Buat order dari isi keranjang
+ *     tags: [Customer]
+ *     responses:
+ *       201:
+ *         description: Order berhasil dibuat
+ *       400:
+ *         description: Keranjang kosong, produk tidak tersedia, atau stok tidak mencukupi
+ */
+router.post("/orders", async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const cart = await getOpenCart(client, req.user.id);
+    const { order, items } = await convertCartToOrder(client, cart.id, {
+      changed_by: req.user.id,
+    });
+
+    await client.query("COMMIT");
+    res.status(201).json({
+      status: "success",
+      message: "Order berhasil dibuat",
+      data: { ...order, items },
+    });
+  } catch (err) {
+    await client.query("ROLLBACK");
+    res.status(err.status || 500).json({ status: "error", message: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /customer/orders:
+ *   get:
+ *     summary: Lihat semua order milik sendiri
+ *     tags: [Customer]
+ *     responses:
+ *       200:
+ *         description: Berhasil mengambil list order
+ */
+router.get("/orders", async (req, res) => {
+  try {
+    const result = await pool.query(
+      "SELECT * FROM orders WHERE customer_id = $1 ORDER BY id DESC",
+      [req.user.id]
+    );
+    res.status(200).json({ status: "success", total: result.rowCount, data: result.rows });
+  } catch (err) {
+    res.status(500).json({ status: "error", message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /customer/orders/{id}:
+ *   get:
+ *     summary: Lihat detail order milik sendiri
+ *     tags: [Customer]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Order ditemukan
+ *       404:
+ *         description: Order tidak ditemukan
+ */
+router.get("/orders/:id", async (req, res) => {
+  const { id } = req.params;
+  try {
+    // Order milik customer lain dianggap tidak ada
+    const result = await pool.query(
+      "SELECT * FROM orders WHERE id = $1 AND customer_id = $2",
+      [id, req.user.id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ status: "error", message: "Order tidak ditemukan" });
+    }
+    const items = await getOrderItems(pool, id);
+    const history = await getStatusHistory(pool, id);
+    const payment = await getOrderBalance(pool, id);
+    res.status(200).json({
+      status: "success",
+      data: { ...result.rows[0], items, history, payment },
+    });
+  } catch (err) {
+    res.status(500).json({ status: "error", message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /customer/orders/{id}/cancel:
+ *   post:
+ *     summary: Batalkan order milik sendiri yang belum dibayar
+ *     tags: [Customer]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Order dibatalkan dan stok dikembalikan
+ *       400:
+ *         description: Order sudah diproses
+ *       404:
+ *         description: Order tidak ditemukan
+ */
+router.post("/orders/:id/cancel", async (req, res) => {
+  const { id } = req.params;
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const owned = await client.query(
+      "SELECT status FROM orders WHERE id = $1 AND customer_id = $2 FOR UPDATE",
+      [id, req.user.id]
+    );
+    if (owned.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ status: "error", message: "Order tidak ditemukan" });
+    }
+    // Customer hanya boleh membatalkan order yang belum dibayar
+    if (owned.rows[0].status !== "pending") {
+      await client.query("ROLLBACK");
+      return res.status(400).json({
+        status: "error",
+        message: "Order yang sudah diproses tidak bisa dibatalkan, hubungi toko",
+      });
+    }
+
+    const order = await transitionOrder(client, id, "cancelled", {
+      changedBy: req.user.id,
+      note: "Dibatalkan oleh customer",
+    });
+
+    await client.query("COMMIT");
+    res.status(200).json({ status: "success", message: "Order dibatalkan", data: order });
+  } catch (err) {
+    await client.query("ROLLBACK");
+    res.status(err.status || 500).json({ status: "error", message: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// ==============================
+// TRANSAKSI
+// ==============================
+/**
+ * @swagger
+ * /customer/transactions:
+ *   get:
+ *     summary: Lihat semua transaksi dari order milik sendiri
+ *     tags: [Customer]
+ *     responses:
+ *       200:
+ *         description: Berhasil mengambil list transaksi
+ */
+router.get("/transactions", async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT t.id, t.order_id, t.payment_method, t.total_amount, t.status
+       FROM transactions t
+       JOIN orders o ON o.id = t.order_id
+       WHERE o.customer_id = $1
+       ORDER BY t.id DESC`,
+      [req.user.id]
+    );
+    res.status(200).json({ status: "success", count: rows.length, data: rows });
+  } catch (err) {
+    res.status(500).json({ status: "error", message: err.message });
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,29 @@
 const jwt = require("jsonwebtoken");
+const { randomUUID, randomBytes, createHash } = require("crypto");
 
 const ACCESS_SECRET = process.env.JWT_SECRET;
 const REFRESH_SECRET = process.env.JWT_REFRESH_SECRET;
 
+// Admin paling berbahaya jika token bocor → default dibuat singkat
+const DEFAULT_ROLE_EXPIRATION = { admin: "15m" };
+
+// ===============================
+//   MASA BERLAKU PER ROLE
+// ===============================
+// JWT_ACCESS_EXPIRATION_<ROLE> (contoh: JWT_ACCESS_EXPIRATION_ADMIN=10m)
+// diutamakan, lalu default per role, lalu JWT_ACCESS_EXPIRATION.
+function getAccessExpiration(role) {
+  const key = String(role || "").toLowerCase();
+  return (
+    process.env[`JWT_ACCESS_EXPIRATION_${key.toUpperCase()}`] ||
+    DEFAULT_ROLE_EXPIRATION[key] ||
+    process.env.JWT_ACCESS_EXPIRATION ||
+    "1h"
+  );
+}
+
 // ===============================
-//   ACCESS TOKEN (User Biasa)
+//   ACCESS TOKEN
 // ===============================
 function generateAccessToken(payload) {
   return jwt.sign(
@@ -12,26 +31,32 @@ function generateAccessToken(payload) {
       id: payload.id,
       email: payload.email,
       role: payload.role,
+      sid: payload.sid, // id sesi di tabel tokens
     },
     ACCESS_SECRET,
     {
-      expiresIn: process.env.JWT_ACCESS_EXPIRATION, // contoh: "1h"
+      expiresIn: getAccessExpiration(payload.role), // contoh: "1h"
     }
   );
 }
 
 // ===============================
-//   ACCESS TOKEN ADMIN (Tidak Expired)
+//   ACCESS TOKEN ADMIN
 // ===============================
+// Dulu tidak pernah expired; sekarang ikut masa berlaku role admin
 function generateAdminToken(payload) {
-  return jwt.sign(
-    {
-      id: payload.id,
-      email: payload.email,
-      role: payload.role,
-    },
-    ACCESS_SECRET // tanpa expiresIn → tidak akan expired
-  );
+  return generateAccessToken({ ...payload, role: payload.role || "admin" });
+}
+
+// ===============================
+//   TOKEN LAMA TANPA EXPIRED
+// ===============================
+// Token admin lama (tanpa exp) hanya diterima sampai JWT_LEGACY_TOKEN_CUTOFF
+// (format tanggal ISO, contoh: 2026-12-31). Tanpa cutoff → langsung ditolak.
+function isLegacyTokenAllowed(now = new Date()) {
+  const cutoff = new Date(process.env.JWT_LEGACY_TOKEN_CUTOFF);
+  if (isNaN(cutoff.getTime())) return false;
+  return now < cutoff;
 }
 
 // ===============================
@@ -41,10 +66,12 @@ function generateRefreshToken(payload) {
   return jwt.sign(
     {
       id: payload.id, // refresh token cukup ID
+      sid: payload.sid, // id sesi di tabel tokens
     },
     REFRESH_SECRET,
     {
-      expiresIn: "7d",
+      expiresIn: process.env.JWT_REFRESH_EXPIRATION || "7d",
+      jwtid: randomUUID(), // token hasil rotasi selalu berbeda
     }
   );
 }
@@ -60,9 +87,47 @@ function verifyToken(token, secret = ACCESS_SECRET) {
   }
 }
 
+// ===============================
+//   TOKEN ACAK SEKALI PAKAI
+// ===============================
+// Untuk undangan, reset password, dll. Yang disimpan di database hanya hash-nya.
+function generateOpaqueToken() {
+  return randomBytes(32).toString("hex");
+}
+
+function hashToken(token) {
+  return createHash("sha256").update(String(token)).digest("hex");
+}
+
+// ===============================
+//   ERROR DENGAN HTTP STATUS
+// ===============================
+function createError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// ===============================
+//   VALIDASI ID
+// ===============================
+// ID dari query/body: hanya digit dan muat di kolom INTEGER Postgres,
+// supaya nilai seperti "1.0" atau 99999999999 tidak gagal saat di-cast ($1::int)
+const MAX_INTEGER_ID = 2147483647;
+
+function isValidId(value) {
+  return /^\d+$/.test(String(value)) && Number(value) <= MAX_INTEGER_ID;
+}
+
 module.exports = {
   generateAccessToken,
   generateAdminToken,
   generateRefreshToken,
   verifyToken,
+  getAccessExpiration,
+  isLegacyTokenAllowed,
+  generateOpaqueToken,
+  hashToken,
+  createError,
+  isValidId,
 };
@@ -1,8 +1,12 @@
 const express = require("express");
 const pool = require("./db/pool");
 const verifyToken = require("./middleware/verifyToken");
-const verifyRole = require("./middleware/verifyRole");
+const requirePermission = require("./middleware/requirePermission");
 const swaggerDocs = require("./swagger");
+const { startStockAlertDispatcher } = require("./helper/stockAlerts");
+const { UPLOAD_DIR, UPLOAD_URL_PREFIX } = require("./helper/mediaStorage");
+const { getNotifierName } = require("./helper/notifier");
+const { assertPaymentConfig } = require("./helper/paymentGateway");
 
 // Routers
 const authRouter = require("./route/auth");
@@ -12,24 +16,50 @@ const stocksRouter = require("./route/stocks");
 const transactionsRouter = require("./route/transactions");
 const ordersRouter = require("./route/orders");
 const usersRouter = require("./route/users");
+const checkoutRouter = require("./route/checkout");
+const invitesRouter = require("./route/invites");
+const rolesRouter = require("./route/roles");
+const customerRouter = require("./route/customer");
+const cartsRouter = require("./route/carts");
+const refundsRouter = require("./route/refunds");
+const webhooksRouter = require("./route/webhooks");
+const suppliersRouter = require("./route/suppliers");
+const purchaseOrdersRouter = require("./route/purchaseOrders");
 
 const app = express();
-app.use(express.json());
+// Raw body disimpan untuk verifikasi tanda tangan webhook
+app.use(express.json({
+  verify: (req, _res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
-// Auth tidak perlu token
+// Auth dan webhook payment gateway tidak perlu token
 app.use("/auth", authRouter);
+app.use("/webhooks", webhooksRouter);
+// Gambar produk publik (storage lokal)
+app.use(UPLOAD_URL_PREFIX, express.static(UPLOAD_DIR));
 swaggerDocs(app);
 
-// Admin only
-app.use("/categories", verifyToken, verifyRole(['admin']), categoriesRouter);
-app.use("/products", verifyToken, verifyRole(['admin']), productsRouter);
-app.use("/users", verifyToken, verifyRole(["admin"]), usersRouter);
+// Akses ditentukan permission role (tabel role_permissions).
+// "<resource>" → izin mengikuti method: GET = read, POST = create, PUT = update, DELETE = delete
+app.use("/categories", verifyToken, requirePermission("categories"), categoriesRouter);
+app.use("/products", verifyToken, requirePermission("products"), productsRouter);
+app.use("/users", verifyToken, requirePermission("users"), usersRouter);
+app.use("/invites", verifyToken, requirePermission("invites"), invitesRouter);
+app.use("/roles", verifyToken, requirePermission("roles"), rolesRouter);
 
+app.use("/transactions", verifyToken, requirePermission("transactions"), transactionsRouter);
+app.use("/orders", verifyToken, requirePermission("orders"), ordersRouter);
+app.use("/stocks", verifyToken, requirePermission("stocks"), stocksRouter);
+app.use("/suppliers", verifyToken, requirePermission("suppliers"), suppliersRouter);
+app.use("/purchase-orders", verifyToken, requirePermission("purchase_orders"), purchaseOrdersRouter);
+app.use("/checkout", verifyToken, requirePermission("checkout:create"), checkoutRouter);
+app.use("/carts", verifyToken, requirePermission("carts"), cartsRouter);
+app.use("/refunds", verifyToken, requirePermission("refunds"), refundsRouter);
 
-// Kasir only
-app.use("/transactions", verifyToken, verifyRole(['cashier', 'admin']), transactionsRouter);
-app.use("/orders", verifyToken, verifyRole(['cashier', 'admin']), ordersRouter);
-app.use("/stocks", verifyToken, verifyRole(['cashier', 'admin']), stocksRouter);
+// Customer: hanya data miliknya sendiri
+app.use("/customer", verifyToken, requirePermission("shop"), customerRouter);
 
 app.get("/", (req, res) => {
   res.json({ message: "API Toko Online ready " });
@@ -54,10 +84,20 @@ app.use((err, req, res, next) => {
 
 const PORT = process.env.APP_PORT || 3000;
 
+// Konfigurasi wajib dicek sebelum server menerima request
+try {
+  getNotifierName();
+  assertPaymentConfig();
+} catch (err) {
+  console.error(" Invalid configuration:", err.message);
+  process.exit(1);
+}
+
 pool.connect()
   .then(() => {
     console.log("✅ Database connected successfully");
     app.listen(PORT, () => console.log(` Server running at http://localhost:${PORT}`));
+    startStockAlertDispatcher();
   })
   .catch(err => {
     console.error(" Failed to connect to database:", err.message);
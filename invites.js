@@ -0,0 +1,156 @@
+const express = require("express");
+const router = express.Router();
+const pool = require("../db/pool");
+const { generateOpaqueToken, hashToken } = require("../helper/helper");
+
+// Role yang hanya bisa didapat lewat undangan admin
+const INVITE_ROLES = ["cashier", "admin"];
+const DEFAULT_EXPIRATION_HOURS = Number(process.env.INVITE_EXPIRATION_HOURS) || 72;
+
+/**
+ * @swagger
+ * tags:
+ *   name: Invites
+ *   description: Undangan pembuatan akun kasir dan admin
+ */
+
+/**
+ * @swagger
+ * /invites:
+ *   get:
+ *     summary: Ambil semua undangan
+ *     tags: [Invites]
+ *     responses:
+ *       200:
+ *         description: Berhasil mengambil list undangan
+ *       500:
+ *         description: Server error
+ */
+router.get("/", async (_req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT id, email, role, expires_at, created_by, created_at, used_at, used_by
+       FROM invites
+       ORDER BY id DESC`
+    );
+    res.status(200).json({ status: "success", count: rows.length, data: rows });
+  } catch (err) {
+    res.status(500).json({ status: "error", message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /invites:
+ *   post:
+ *     summary: Buat undangan akun dengan role yang sudah ditentukan
+ *     tags: [Invites]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [cashier, admin]
+ *               email:
+ *                 type: string
+ *                 description: Jika diisi, undangan hanya bisa dipakai oleh email ini
+ *               expires_in_hours:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Undangan berhasil dibuat (token hanya ditampilkan sekali)
+ *       400:
+ *         description: Input tidak valid
+ *       500:
+ *         description: Server error
+ */
+router.post("/", async (req, res) => {
+  const { role, email, expires_in_hours } = req.body;
+
+  if (!INVITE_ROLES.includes(role)) {
+    return res.status(400).json({
+      status: "failed",
+      message: `role harus salah satu dari: ${INVITE_ROLES.join(", ")}`,
+    });
+  }
+
+  const hours = expires_in_hours == null ? DEFAULT_EXPIRATION_HOURS : Number(expires_in_hours);
+  if (!Number.isFinite(hours) || hours <= 0) {
+    return res.status(400).json({
+      status: "failed",
+      message: "expires_in_hours harus angka lebih dari 0",
+    });
+  }
+
+  try {
+    const token = generateOpaqueToken();
+    const { rows } = await pool.query(
+      `INSERT INTO invites (token_hash, email, role, expires_at, created_by)
+       VALUES ($1, $2, $3, NOW() + make_interval(secs => $4), $5)
+       RETURNING id, email, role, expires_at, created_at`,
+      [hashToken(token), email || null, role, hours * 3600, req.user.id]
+    );
+
+    res.status(201).json({
+      status: "success",
+      message: "Undangan berhasil dibuat, kirim token ini ke calon user",
+      data: { ...rows[0], token },
+    });
+  } catch (err) {
+    res.status(500).json({ status: "error", message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /invites/{id}:
+ *   delete:
+ *     summary: Batalkan undangan yang belum dipakai
+ *     tags: [Invites]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Undangan berhasil dibatalkan
+ *       404:
+ *         description: Undangan tidak ditemukan atau sudah dipakai
+ *       500:
+ *         description: Server error
+ */
+router.delete("/:id", async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const result = await pool.query(
+      "DELETE FROM invites WHERE id = $1 AND used_at IS NULL RETURNING id, email, role",
+      [id]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({
+        status: "error",
+        message: "Undangan tidak ditemukan atau sudah dipakai",
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: "Undangan berhasil dibatalkan",
+      data: result.rows[0],
+    });
+  } catch (err) {
+    res.status(500).json({ status: "error", message: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,91 @@
+const pool = require("../db/pool");
+
+// Percobaan gagal sebelum mulai ada jeda, dan batas sebelum dikunci
+const FREE_ATTEMPTS = 3;
+const MAX_DELAY_SECONDS = 60;
+const ACCOUNT_MAX_ATTEMPTS = Number(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const IP_MAX_ATTEMPTS = Number(process.env.LOGIN_IP_MAX_ATTEMPTS) || 20;
+const LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+
+function loginKeys(email, ip) {
+  return [`account:${String(email || "").trim().toLowerCase()}`, `ip:${ip}`];
+}
+
+function maxAttemptsFor(key) {
+  return key.startsWith("ip:") ? IP_MAX_ATTEMPTS : ACCOUNT_MAX_ATTEMPTS;
+}
+
+// ===============================
+//   CEK BOLEH LOGIN ATAU TIDAK
+// ===============================
+// Mengembalikan sisa detik yang harus ditunggu, 0 jika boleh mencoba.
+// Jeda naik bertahap (1, 2, 4, ... detik) setelah FREE_ATTEMPTS gagal,
+// lalu akun/IP dikunci LOCKOUT_MINUTES saat mencapai batas.
+async function getRetryAfter(keys) {
+  const { rows } = await pool.query(
+    "SELECT * FROM login_failures WHERE key = ANY($1::varchar[])",
+    [keys]
+  );
+
+  const now = Date.now();
+  let wait = 0;
+
+  for (const row of rows) {
+    let allowedAt = 0;
+    if (row.locked_until && new Date(row.locked_until).getTime() > now) {
+      allowedAt = new Date(row.locked_until).getTime();
+    } else if (row.failures >= FREE_ATTEMPTS) {
+      const delay = Math.min(2 ** (row.failures - FREE_ATTEMPTS), MAX_DELAY_SECONDS);
+      allowedAt = new Date(row.last_failed_at).getTime() + delay * 1000;
+    }
+    wait = Math.max(wait, Math.ceil((allowedAt - now) / 1000));
+  }
+
+  return wait;
+}
+
+// ===============================
+//   CATAT LOGIN GAGAL
+// ===============================
+async function recordLoginFailure(keys) {
+  for (const key of keys) {
+    await pool.query(
+      `INSERT INTO login_failures (key, failures, last_failed_at)
+       VALUES ($1, 1, NOW())
+       ON CONFLICT (key) DO UPDATE
+       SET failures = login_failures.failures + 1, last_failed_at = NOW()`,
+      [key]
+    );
+
+    // Capai batas → kunci, hitungan diulang dari nol setelah kunci dibuka
+    await pool.query(
+      `UPDATE login_failures
+       SET locked_until = NOW() + make_interval(mins => $2), failures = 0
+       WHERE key = $1 AND failures >= $3`,
+      [key, LOCKOUT_MINUTES, maxAttemptsFor(key)]
+    );
+  }
+}
+
+async function clearLoginFailures(key) {
+  const { rowCount } = await pool.query("DELETE FROM login_failures WHERE key = $1", [key]);
+  return rowCount > 0;
+}
+
+async function listLoginFailures() {
+  const { rows } = await pool.query(
+    `SELECT key, failures, last_failed_at, locked_until,
+            (locked_until IS NOT NULL AND locked_until > NOW()) AS locked
+     FROM login_failures
+     ORDER BY last_failed_at DESC`
+  );
+  return rows;
+}
+
+module.exports = {
+  loginKeys,
+  getRetryAfter,
+  recordLoginFailure,
+  clearLoginFailures,
+  listLoginFailures,
+};
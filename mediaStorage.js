@@ -0,0 +1,54 @@
+const fs = require("fs");
+const path = require("path");
+
+// ===============================
+//   PENYIMPANAN MEDIA (GAMBAR)
+// ===============================
+// Driver dipilih lewat MEDIA_STORAGE_DRIVER:
+//   local → file ditulis ke UPLOAD_DIR (default: uploads) dan disajikan
+//           express.static di UPLOAD_URL_PREFIX (default: /uploads)
+// Driver lain (S3, GCS, dll) didaftarkan lewat registerStorage() dengan
+// method save(key, buffer, contentType), remove(key), dan url(key).
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || "uploads");
+const UPLOAD_URL_PREFIX = process.env.UPLOAD_URL_PREFIX || "/uploads";
+
+// key selalu relatif (contoh: products/12/abc.jpg); tidak boleh keluar dari UPLOAD_DIR
+function localPath(key) {
+  const file = path.resolve(UPLOAD_DIR, key);
+  if (!file.startsWith(UPLOAD_DIR + path.sep)) throw new Error(`Key media tidak valid: ${key}`);
+  return file;
+}
+
+const drivers = {
+  local: {
+    async save(key, buffer) {
+      const file = localPath(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer);
+    },
+    async remove(key) {
+      await fs.promises.rm(localPath(key), { force: true });
+    },
+    url(key) {
+      return `${UPLOAD_URL_PREFIX}/${key}`;
+    },
+  },
+};
+
+function registerStorage(name, driver) {
+  drivers[name] = driver;
+}
+
+function getStorage() {
+  const name = process.env.MEDIA_STORAGE_DRIVER || "local";
+  const driver = drivers[name];
+  if (!driver) throw new Error(`Storage media '${name}' tidak terdaftar`);
+  return driver;
+}
+
+module.exports = {
+  UPLOAD_DIR,
+  UPLOAD_URL_PREFIX,
+  registerStorage,
+  getStorage,
+};
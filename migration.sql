@@ -0,0 +1,677 @@
+-- ===============================
+--   MIGRASI SKEMA DATABASE
+-- ===============================
+-- Jalankan setelah tabel dasar (users, tokens, categories, products,
+-- stocks, orders, transactions) dibuat:
+--   psql -d db_fianfashionstore -f src/db/migration.sql
+-- Semua perintah aman dijalankan ulang.
+
+-- ===============================
+--   ORDER ITEMS
+-- ===============================
+ALTER TABLE orders
+  ADD COLUMN IF NOT EXISTS total_amount NUMERIC(12, 2) NOT NULL DEFAULT 0;
+ALTER TABLE orders ALTER COLUMN status SET DEFAULT 'pending';
+UPDATE orders SET status = 'pending' WHERE status IS NULL;
+
+CREATE TABLE IF NOT EXISTS order_items (
+  id SERIAL PRIMARY KEY,
+  order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  product_id INTEGER NOT NULL REFERENCES products(id),
+  product_name VARCHAR(255) NOT NULL,
+  size VARCHAR(50),
+  color VARCHAR(50),
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  -- harga produk saat item dipesan, tidak ikut berubah jika harga produk diubah
+  unit_price NUMERIC(12, 2) NOT NULL CHECK (unit_price >= 0),
+  subtotal NUMERIC(12, 2) GENERATED ALWAYS AS (quantity * unit_price) STORED,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS order_items_order_id_idx ON order_items (order_id);
+
+-- ===============================
+--   CHECKOUT
+-- ===============================
+-- Pergerakan stok yang berasal dari order (penjualan, pengembalian stok)
+ALTER TABLE stocks
+  ADD COLUMN IF NOT EXISTS order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS stocks_order_id_idx ON stocks (order_id);
+
+-- ===============================
+--   REFRESH TOKEN (ROTASI)
+-- ===============================
+-- Satu baris tokens = satu sesi login; session_id ikut disimpan di dalam JWT
+ALTER TABLE tokens ADD COLUMN IF NOT EXISTS session_id UUID;
+ALTER TABLE tokens ADD COLUMN IF NOT EXISTS rotated_at TIMESTAMP;
+
+CREATE UNIQUE INDEX IF NOT EXISTS tokens_session_id_idx ON tokens (session_id);
+
+-- ===============================
+--   SESI LOGIN
+-- ===============================
+ALTER TABLE tokens ADD COLUMN IF NOT EXISTS user_agent TEXT;
+ALTER TABLE tokens ADD COLUMN IF NOT EXISTS ip_address VARCHAR(64);
+ALTER TABLE tokens ADD COLUMN IF NOT EXISTS last_used_at TIMESTAMP;
+
+-- Token lama (sebelum ada session_id) tetap bisa dikenali dan dicabut
+UPDATE tokens SET session_id = gen_random_uuid() WHERE session_id IS NULL;
+
+-- ===============================
+--   UNDANGAN AKUN (INVITE)
+-- ===============================
+CREATE TABLE IF NOT EXISTS invites (
+  id SERIAL PRIMARY KEY,
+  -- hanya hash SHA-256 yang disimpan, token asli dikirim sekali ke admin
+  token_hash VARCHAR(64) NOT NULL UNIQUE,
+  email VARCHAR(255),
+  role VARCHAR(50) NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  used_at TIMESTAMP,
+  used_by INTEGER REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- ===============================
+--   PROTEKSI LOGIN (BRUTE FORCE)
+-- ===============================
+-- key: 'account:<email>' atau 'ip:<alamat ip>'
+CREATE TABLE IF NOT EXISTS login_failures (
+  key VARCHAR(320) PRIMARY KEY,
+  failures INTEGER NOT NULL DEFAULT 0,
+  last_failed_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  locked_until TIMESTAMP
+);
+
+-- ===============================
+--   RESET PASSWORD
+-- ===============================
+CREATE TABLE IF NOT EXISTS password_resets (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash VARCHAR(64) NOT NULL UNIQUE,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- ===============================
+--   PERMISSION PER ROLE
+-- ===============================
+CREATE TABLE IF NOT EXISTS permissions (
+  code VARCHAR(100) PRIMARY KEY,
+  description TEXT
+);
+
+CREATE TABLE IF NOT EXISTS role_permissions (
+  role VARCHAR(50) NOT NULL,
+  permission VARCHAR(100) NOT NULL REFERENCES permissions(code) ON DELETE CASCADE,
+  PRIMARY KEY (role, permission)
+);
+
+INSERT INTO permissions (code, description) VALUES
+  ('*', 'Semua izin'),
+  ('categories:read', 'Lihat kategori'),
+  ('categories:create', 'Tambah kategori'),
+  ('categories:update', 'Ubah kategori'),
+  ('categories:delete', 'Hapus kategori'),
+  ('products:read', 'Lihat produk'),
+  ('products:create', 'Tambah produk'),
+  ('products:update', 'Ubah produk'),
+  ('products:delete', 'Hapus produk'),
+  ('users:read', 'Lihat user dan lockout login'),
+  ('users:update', 'Ubah user'),
+  ('users:delete', 'Hapus user dan buka lockout login'),
+  ('invites:read', 'Lihat undangan akun'),
+  ('invites:create', 'Buat undangan akun'),
+  ('invites:delete', 'Batalkan undangan akun'),
+  ('roles:read', 'Lihat permission per role'),
+  ('roles:update', 'Ubah permission per role'),
+  ('orders:read', 'Lihat order'),
+  ('orders:create', 'Buat order dan tambah item'),
+  ('orders:update', 'Ubah order dan item'),
+  ('orders:delete', 'Hapus order dan item'),
+  ('transactions:read', 'Lihat transaksi'),
+  ('transactions:create', 'Catat transaksi'),
+  ('transactions:update', 'Ubah transaksi'),
+  ('transactions:delete', 'Hapus transaksi'),
+  ('stocks:read', 'Lihat riwayat stok'),
+  ('stocks:create', 'Catat pergerakan stok'),
+  ('checkout:create', 'Checkout kasir')
+ON CONFLICT (code) DO NOTHING;
+
+INSERT INTO role_permissions (role, permission) VALUES
+  ('admin', '*'),
+  ('cashier', 'categories:read'),
+  ('cashier', 'products:read'),
+  ('cashier', 'orders:read'),
+  ('cashier', 'orders:create'),
+  ('cashier', 'orders:update'),
+  ('cashier', 'transactions:read'),
+  ('cashier', 'transactions:create'),
+  ('cashier', 'transactions:update'),
+  ('cashier', 'stocks:read'),
+  ('cashier', 'stocks:create'),
+  ('cashier', 'checkout:create')
+ON CONFLICT DO NOTHING;
+
+-- ===============================
+--   CUSTOMER & KERANJANG
+-- ===============================
+CREATE TABLE IF NOT EXISTS carts (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'open',
+  order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS cart_items (
+  id SERIAL PRIMARY KEY,
+  cart_id INTEGER NOT NULL REFERENCES carts(id) ON DELETE CASCADE,
+  product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (cart_id, product_id)
+);
+
+CREATE INDEX IF NOT EXISTS carts_user_id_idx ON carts (user_id, status);
+
+INSERT INTO permissions (code, description) VALUES
+  ('shop:read', 'Customer: lihat produk, keranjang, order dan transaksi sendiri'),
+  ('shop:create', 'Customer: tambah ke keranjang dan buat order'),
+  ('shop:update', 'Customer: ubah keranjang'),
+  ('shop:delete', 'Customer: hapus item keranjang')
+ON CONFLICT (code) DO NOTHING;
+
+INSERT INTO role_permissions (role, permission) VALUES
+  ('customer', 'shop:read'),
+  ('customer', 'shop:create'),
+  ('customer', 'shop:update'),
+  ('customer', 'shop:delete')
+ON CONFLICT DO NOTHING;
+
+-- ===============================
+--   KERANJANG KASIR
+-- ===============================
+-- user_id = pembuat keranjang, customer_id = pemilik order nantinya.
+-- Keranjang lama diisi customer_id = user_id sekali saja saat kolom dibuat;
+-- sesudahnya customer_id NULL berarti pembeli walk-in dan tidak boleh diisi ulang.
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'carts' AND column_name = 'customer_id'
+  ) THEN
+    ALTER TABLE carts ADD COLUMN customer_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+    UPDATE carts SET customer_id = user_id;
+  END IF;
+END $$;
+
+ALTER TABLE cart_items ADD COLUMN IF NOT EXISTS size VARCHAR(50);
+ALTER TABLE cart_items ADD COLUMN IF NOT EXISTS color VARCHAR(50);
+-- harga saat produk dimasukkan, untuk mendeteksi perubahan harga
+ALTER TABLE cart_items ADD COLUMN IF NOT EXISTS price_at_add NUMERIC(12, 2);
+
+INSERT INTO permissions (code, description) VALUES
+  ('carts:read', 'Lihat keranjang'),
+  ('carts:create', 'Buat keranjang, tambah item, dan jadikan order'),
+  ('carts:update', 'Ubah item keranjang'),
+  ('carts:delete', 'Hapus item atau batalkan keranjang')
+ON CONFLICT (code) DO NOTHING;
+
+INSERT INTO role_permissions (role, permission) VALUES
+  ('cashier', 'carts:read'),
+  ('cashier', 'carts:create'),
+  ('cashier', 'carts:update'),
+  ('cashier', 'carts:delete')
+ON CONFLICT DO NOTHING;
+
+-- ===============================
+--   STATUS ORDER + RIWAYAT
+-- ===============================
+CREATE TABLE IF NOT EXISTS order_status_history (
+  id SERIAL PRIMARY KEY,
+  order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  from_status VARCHAR(20),
+  to_status VARCHAR(20) NOT NULL,
+  changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  note TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS order_status_history_order_id_idx ON order_status_history (order_id);
+
+-- Status lama di luar siklus baru dikembalikan ke pending
+UPDATE orders SET status = 'pending'
+WHERE status NOT IN ('pending', 'paid', 'packed', 'shipped', 'completed', 'cancelled', 'refunded');
+
+-- ===============================
+--   PEMBAYARAN (TRANSACTIONS)
+-- ===============================
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP;
+CREATE INDEX IF NOT EXISTS transactions_order_id_idx ON transactions (order_id);
+
+-- Status bebas lama dipetakan ke siklus pembayaran baru
+UPDATE transactions SET status = 'captured'
+WHERE LOWER(status) IN ('paid', 'success', 'settlement', 'completed', 'lunas');
+UPDATE transactions SET status = 'pending'
+WHERE status IS NULL OR status NOT IN ('pending', 'authorized', 'captured', 'failed', 'voided');
+UPDATE transactions SET payment_method = LOWER(REPLACE(TRIM(payment_method), ' ', '_'))
+WHERE payment_method IS NOT NULL;
+
+-- ===============================
+--   REFUND & RETUR
+-- ===============================
+-- Transaksi asli tidak diubah; setiap pengembalian dana dicatat di sini
+CREATE TABLE IF NOT EXISTS refunds (
+  id SERIAL PRIMARY KEY,
+  order_id INTEGER NOT NULL REFERENCES orders(id),
+  transaction_id INTEGER NOT NULL REFERENCES transactions(id),
+  amount NUMERIC(12, 2) NOT NULL CHECK (amount > 0),
+  reason TEXT,
+  restock BOOLEAN NOT NULL DEFAULT FALSE,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS refund_items (
+  id SERIAL PRIMARY KEY,
+  refund_id INTEGER NOT NULL REFERENCES refunds(id) ON DELETE CASCADE,
+  order_item_id INTEGER NOT NULL REFERENCES order_items(id),
+  product_id INTEGER NOT NULL REFERENCES products(id),
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  amount NUMERIC(12, 2) NOT NULL CHECK (amount >= 0)
+);
+
+CREATE INDEX IF NOT EXISTS refunds_order_id_idx ON refunds (order_id);
+CREATE INDEX IF NOT EXISTS refunds_transaction_id_idx ON refunds (transaction_id);
+CREATE INDEX IF NOT EXISTS refund_items_order_item_id_idx ON refund_items (order_item_id);
+
+INSERT INTO permissions (code, description) VALUES
+  ('refunds:read', 'Lihat refund dan retur'),
+  ('refunds:create', 'Catat refund dan retur')
+ON CONFLICT (code) DO NOTHING;
+
+INSERT INTO role_permissions (role, permission) VALUES
+  ('cashier', 'refunds:read')
+ON CONFLICT DO NOTHING;
+
+-- ===============================
+--   PAYMENT GATEWAY
+-- ===============================
+-- provider kosong = pembayaran dicatat manual oleh kasir
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS provider VARCHAR(30);
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS provider_ref VARCHAR(100);
+CREATE UNIQUE INDEX IF NOT EXISTS transactions_provider_ref_idx
+  ON transactions (provider, provider_ref) WHERE provider_ref IS NOT NULL;
+
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS provider_ref VARCHAR(100);
+
+-- Setiap webhook disimpan sekali; event yang dikirim ulang provider diabaikan
+CREATE TABLE IF NOT EXISTS payment_webhook_events (
+  id SERIAL PRIMARY KEY,
+  provider VARCHAR(30) NOT NULL,
+  event_id VARCHAR(100) NOT NULL,
+  transaction_id INTEGER REFERENCES transactions(id) ON DELETE SET NULL,
+  status VARCHAR(20),
+  payload JSONB,
+  ignored_reason TEXT,
+  received_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (provider, event_id)
+);
+
+-- ===============================
+--   LEDGER STOK (APPEND-ONLY)
+-- ===============================
+-- Riwayat stok tidak lagi bisa diubah/dihapus; koreksi lewat entri pembalik
+ALTER TABLE stocks ADD COLUMN IF NOT EXISTS reversal_of INTEGER REFERENCES stocks(id);
+ALTER TABLE stocks ADD COLUMN IF NOT EXISTS created_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS stocks_reversal_of_idx ON stocks (reversal_of) WHERE reversal_of IS NOT NULL;
+CREATE INDEX IF NOT EXISTS stocks_product_id_idx ON stocks (product_id);
+
+-- Stok lama yang belum punya riwayat sama sekali dicatat sebagai saldo awal
+INSERT INTO stocks (product_id, quantity_change, action)
+SELECT p.id, p.stock, 'opening'
+FROM products p
+WHERE p.stock <> 0
+  AND NOT EXISTS (SELECT 1 FROM stocks s WHERE s.product_id = p.id);
+
+DELETE FROM role_permissions WHERE permission IN ('stocks:update', 'stocks:delete');
+DELETE FROM permissions WHERE code IN ('stocks:update', 'stocks:delete');
+
+INSERT INTO permissions (code, description) VALUES
+  ('stocks:reconcile', 'Samakan stok produk dengan ledger'),
+  ('stocks:reverse', 'Koreksi riwayat stok dengan entri pembalik')
+ON CONFLICT (code) DO NOTHING;
+
+-- ===============================
+--   JENIS PERGERAKAN STOK
+-- ===============================
+ALTER TABLE stocks ADD COLUMN IF NOT EXISTS reason TEXT;
+
+-- Action teks bebas lama: yang dikenali dipetakan, sisanya jadi adjustment
+UPDATE stocks SET action = LOWER(TRIM(action))
+WHERE LOWER(TRIM(action)) IN ('purchase', 'sale', 'return', 'adjustment', 'damage', 'transfer', 'opening', 'reversal')
+  AND action <> LOWER(TRIM(action));
+UPDATE stocks SET reason = COALESCE(reason, action), action = 'adjustment'
+WHERE action IS NULL
+   OR action NOT IN ('purchase', 'sale', 'return', 'adjustment', 'damage', 'transfer', 'opening', 'reversal');
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'stocks_action_check') THEN
+    ALTER TABLE stocks ADD CONSTRAINT stocks_action_check
+      CHECK (action IN ('purchase', 'sale', 'return', 'adjustment', 'damage', 'transfer', 'opening', 'reversal'));
+  END IF;
+  -- NOT VALID: data lama tidak dicek ulang, perubahan baru tetap tidak boleh minus
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'products_stock_non_negative') THEN
+    ALTER TABLE products ADD CONSTRAINT products_stock_non_negative CHECK (stock >= 0) NOT VALID;
+  END IF;
+END $$;
+
+-- ===============================
+--   STOK MENIPIS & REORDER
+-- ===============================
+-- reorder_point: alert dikirim saat stok turun sampai angka ini
+-- reorder_quantity: saran jumlah pesan ulang
+ALTER TABLE products ADD COLUMN IF NOT EXISTS reorder_point INTEGER NOT NULL DEFAULT 0 CHECK (reorder_point >= 0);
+ALTER TABLE products ADD COLUMN IF NOT EXISTS reorder_quantity INTEGER NOT NULL DEFAULT 0 CHECK (reorder_quantity >= 0);
+
+-- Outbox alert: ditulis bersama pergerakan stok, dikirim lewat notifier setelah commit
+CREATE TABLE IF NOT EXISTS stock_alerts (
+  id SERIAL PRIMARY KEY,
+  product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  stock INTEGER NOT NULL,
+  reorder_point INTEGER NOT NULL,
+  reorder_quantity INTEGER NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  sent_at TIMESTAMP
+);
+
+-- Gagal kirim dijadwalkan ulang lewat next_attempt_at; setelah batas percobaan
+-- alert diberi failed_at (dead letter) agar tidak menghalangi alert yang lebih baru
+ALTER TABLE stock_alerts ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMP NOT NULL DEFAULT NOW();
+ALTER TABLE stock_alerts ADD COLUMN IF NOT EXISTS failed_at TIMESTAMP;
+
+DROP INDEX IF EXISTS stock_alerts_unsent_idx;
+CREATE INDEX IF NOT EXISTS stock_alerts_due_idx ON stock_alerts (next_attempt_at, id)
+  WHERE sent_at IS NULL AND failed_at IS NULL;
+
+-- ===============================
+--   SUPPLIER & PURCHASE ORDER
+-- ===============================
+CREATE TABLE IF NOT EXISTS suppliers (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  email VARCHAR(255),
+  phone VARCHAR(50),
+  address TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- draft → sent → partially_received → received; draft/sent boleh cancelled
+CREATE TABLE IF NOT EXISTS purchase_orders (
+  id SERIAL PRIMARY KEY,
+  supplier_id INTEGER NOT NULL REFERENCES suppliers(id),
+  status VARCHAR(30) NOT NULL DEFAULT 'draft'
+    CHECK (status IN ('draft', 'sent', 'partially_received', 'received', 'cancelled')),
+  note TEXT,
+  total_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  sent_at TIMESTAMP,
+  received_at TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS purchase_order_items (
+  id SERIAL PRIMARY KEY,
+  purchase_order_id INTEGER NOT NULL REFERENCES purchase_orders(id) ON DELETE CASCADE,
+  product_id INTEGER NOT NULL REFERENCES products(id),
+  quantity_ordered INTEGER NOT NULL CHECK (quantity_ordered > 0),
+  quantity_received INTEGER NOT NULL DEFAULT 0 CHECK (quantity_received >= 0),
+  unit_cost NUMERIC(12, 2) NOT NULL DEFAULT 0 CHECK (unit_cost >= 0),
+  UNIQUE (purchase_order_id, product_id),
+  CHECK (quantity_received <= quantity_ordered)
+);
+
+CREATE INDEX IF NOT EXISTS purchase_orders_supplier_id_idx ON purchase_orders (supplier_id);
+CREATE INDEX IF NOT EXISTS purchase_order_items_product_id_idx ON purchase_order_items (product_id);
+
+-- Penerimaan barang dari PO dicatat sebagai pergerakan 'purchase'
+ALTER TABLE stocks
+  ADD COLUMN IF NOT EXISTS purchase_order_id INTEGER REFERENCES purchase_orders(id) ON DELETE SET NULL;
+
+INSERT INTO permissions (code, description) VALUES
+  ('suppliers:read', 'Lihat supplier'),
+  ('suppliers:create', 'Tambah supplier'),
+  ('suppliers:update', 'Ubah supplier'),
+  ('suppliers:delete', 'Hapus supplier'),
+  ('purchase_orders:read', 'Lihat purchase order'),
+  ('purchase_orders:create', 'Buat, kirim, terima, dan batalkan purchase order'),
+  ('purchase_orders:delete', 'Hapus item purchase order draft')
+ON CONFLICT (code) DO NOTHING;
+
+INSERT INTO role_permissions (role, permission) VALUES
+  ('cashier', 'suppliers:read'),
+  ('cashier', 'purchase_orders:read')
+ON CONFLICT DO NOTHING;
+
+-- ===============================
+--   VARIAN PRODUK (UKURAN × WARNA)
+-- ===============================
+-- Satu produk punya banyak varian; stok per varian, products.stock = total semua varian
+CREATE TABLE IF NOT EXISTS product_variants (
+  id SERIAL PRIMARY KEY,
+  product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  size VARCHAR(50) NOT NULL,
+  color VARCHAR(50) NOT NULL,
+  sku VARCHAR(64),
+  -- NULL = ikut harga produk
+  price NUMERIC(12, 2) CHECK (price >= 0),
+  stock INTEGER NOT NULL DEFAULT 0 CHECK (stock >= 0),
+  available BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS product_variants_option_idx
+  ON product_variants (product_id, LOWER(size), LOWER(color));
+CREATE UNIQUE INDEX IF NOT EXISTS product_variants_sku_idx ON product_variants (sku) WHERE sku IS NOT NULL;
+
+-- Produk lama menjadi satu varian dengan ukuran, warna, dan stok yang sama
+INSERT INTO product_variants (product_id, size, color, stock)
+SELECT p.id, COALESCE(p.size, '-'), COALESCE(p.color, '-'), GREATEST(COALESCE(p.stock, 0), 0)
+FROM products p
+WHERE NOT EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.id);
+
+-- Ledger, item order, keranjang, refund, dan PO menunjuk ke varian
+ALTER TABLE stocks ADD COLUMN IF NOT EXISTS variant_id INTEGER REFERENCES product_variants(id);
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS variant_id INTEGER REFERENCES product_variants(id);
+ALTER TABLE cart_items
+  ADD COLUMN IF NOT EXISTS variant_id INTEGER REFERENCES product_variants(id) ON DELETE CASCADE;
+ALTER TABLE refund_items ADD COLUMN IF NOT EXISTS variant_id INTEGER REFERENCES product_variants(id);
+ALTER TABLE purchase_order_items ADD COLUMN IF NOT EXISTS variant_id INTEGER REFERENCES product_variants(id);
+
+-- Data lama: setiap produk baru punya satu varian, jadi varian bisa diisi otomatis
+UPDATE stocks s SET variant_id = v.id
+FROM product_variants v
+WHERE s.variant_id IS NULL AND v.product_id = s.product_id
+  AND (SELECT COUNT(*) FROM product_variants x WHERE x.product_id = s.product_id) = 1;
+UPDATE order_items oi SET variant_id = v.id
+FROM product_variants v
+WHERE oi.variant_id IS NULL AND v.product_id = oi.product_id
+  AND (SELECT COUNT(*) FROM product_variants x WHERE x.product_id = oi.product_id) = 1;
+UPDATE cart_items ci SET variant_id = v.id
+FROM product_variants v
+WHERE ci.variant_id IS NULL AND v.product_id = ci.product_id
+  AND (SELECT COUNT(*) FROM product_variants x WHERE x.product_id = ci.product_id) = 1;
+UPDATE refund_items ri SET variant_id = oi.variant_id
+FROM order_items oi
+WHERE ri.variant_id IS NULL AND oi.id = ri.order_item_id;
+UPDATE purchase_order_items poi SET variant_id = v.id
+FROM product_variants v
+WHERE poi.variant_id IS NULL AND v.product_id = poi.product_id
+  AND (SELECT COUNT(*) FROM product_variants x WHERE x.product_id = poi.product_id) = 1;
+
+ALTER TABLE cart_items ALTER COLUMN variant_id SET NOT NULL;
+ALTER TABLE purchase_order_items ALTER COLUMN variant_id SET NOT NULL;
+
+-- Satu baris per varian (bukan per produk) di keranjang dan PO
+ALTER TABLE cart_items DROP CONSTRAINT IF EXISTS cart_items_cart_id_product_id_key;
+CREATE UNIQUE INDEX IF NOT EXISTS cart_items_cart_variant_idx ON cart_items (cart_id, variant_id);
+ALTER TABLE purchase_order_items
+  DROP CONSTRAINT IF EXISTS purchase_order_items_purchase_order_id_product_id_key;
+CREATE UNIQUE INDEX IF NOT EXISTS purchase_order_items_po_variant_idx
+  ON purchase_order_items (purchase_order_id, variant_id);
+
+CREATE INDEX IF NOT EXISTS stocks_variant_id_idx ON stocks (variant_id);
+
+-- ===============================
+--   KATEGORI PRODUK (FOREIGN KEY + BERTINGKAT)
+-- ===============================
+-- parent_id NULL = kategori utama
+ALTER TABLE categories ADD COLUMN IF NOT EXISTS parent_id INTEGER REFERENCES categories(id);
+CREATE INDEX IF NOT EXISTS categories_parent_id_idx ON categories (parent_id);
+
+ALTER TABLE products ADD COLUMN IF NOT EXISTS category_id INTEGER REFERENCES categories(id);
+CREATE INDEX IF NOT EXISTS products_category_id_idx ON products (category_id);
+
+-- Kolom teks products.category dipindah ke category_id (nama dicocokkan tanpa beda huruf besar/kecil);
+-- nama yang belum ada di tabel categories dibuat dulu. Dijalankan sekali, lalu kolom lama dihapus.
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'products' AND column_name = 'category'
+  ) THEN
+    INSERT INTO categories (name)
+    SELECT DISTINCT ON (LOWER(p.category)) p.category
+    FROM products p
+    WHERE p.category IS NOT NULL
+      AND NOT EXISTS (SELECT 1 FROM categories c WHERE LOWER(c.name) = LOWER(p.category));
+
+    UPDATE products p
+    SET category_id = (
+      SELECT MIN(c.id) FROM categories c WHERE LOWER(c.name) = LOWER(p.category)
+    )
+    WHERE p.category_id IS NULL AND p.category IS NOT NULL;
+
+    ALTER TABLE products DROP COLUMN category;
+  END IF;
+END $$;
+
+-- ===============================
+--   ID PRODUK OTOMATIS & SKU
+-- ===============================
+-- ID produk dibuat database (sebelumnya MAX(id)+1 di bawah LOCK TABLE)
+CREATE SEQUENCE IF NOT EXISTS products_id_seq OWNED BY products.id;
+SELECT setval('products_id_seq', COALESCE((SELECT MAX(id) FROM products), 0) + 1, false);
+ALTER TABLE products ALTER COLUMN id SET DEFAULT nextval('products_id_seq');
+
+-- SKU unik tanpa membedakan huruf besar/kecil
+DROP INDEX IF EXISTS product_variants_sku_idx;
+-- SKU lama yang hanya beda huruf besar/kecil (abc vs ABC): yang pertama dipertahankan,
+-- sisanya ditambah akhiran id varian agar index unik di bawah bisa dibuat
+WITH ranked AS (
+  SELECT id, ROW_NUMBER() OVER (PARTITION BY UPPER(TRIM(sku)) ORDER BY id) AS rn
+  FROM product_variants
+  WHERE sku IS NOT NULL
+)
+UPDATE product_variants v
+SET sku = TRIM(v.sku) || '-' || v.id
+FROM ranked r
+WHERE r.id = v.id AND r.rn > 1;
+UPDATE product_variants SET sku = UPPER(TRIM(sku)) WHERE sku IS NOT NULL AND sku <> UPPER(TRIM(sku));
+CREATE UNIQUE INDEX IF NOT EXISTS product_variants_sku_upper_idx
+  ON product_variants (UPPER(sku)) WHERE sku IS NOT NULL;
+
+-- Varian lama tanpa SKU diberi SKU pola bawaan {CATEGORY}-{PRODUCT}-{SIZE}-{COLOR};
+-- jika bentrok, ditambah akhiran id varian
+WITH generated AS (
+  SELECT v.id,
+         TRIM(BOTH '-' FROM REGEXP_REPLACE(UPPER(
+           COALESCE(NULLIF(LEFT(REGEXP_REPLACE(c.name, '[^A-Za-z0-9]', '', 'g'), 3), ''), 'GEN') || '-' ||
+           LPAD(p.id::text, 5, '0') || '-' ||
+           REGEXP_REPLACE(v.size, '[^A-Za-z0-9]', '', 'g') || '-' ||
+           LEFT(REGEXP_REPLACE(v.color, '[^A-Za-z0-9]', '', 'g'), 3)
+         ), '-+', '-', 'g')) AS sku
+  FROM product_variants v
+  JOIN products p ON p.id = v.product_id
+  LEFT JOIN categories c ON c.id = p.category_id
+  WHERE v.sku IS NULL
+), ranked AS (
+  SELECT id, sku, ROW_NUMBER() OVER (PARTITION BY sku ORDER BY id) AS rn
+  FROM generated
+)
+UPDATE product_variants v
+SET sku = CASE
+  WHEN ranked.rn = 1 AND NOT EXISTS (SELECT 1 FROM product_variants x WHERE UPPER(x.sku) = ranked.sku)
+    THEN ranked.sku
+  ELSE ranked.sku || '-' || v.id
+END
+FROM ranked
+WHERE ranked.id = v.id;
+
+-- ===============================
+--   BARCODE PRODUK
+-- ===============================
+-- Satu varian boleh punya beberapa barcode (kemasan berbeda, kode pabrik + kode toko)
+CREATE TABLE IF NOT EXISTS product_barcodes (
+  id SERIAL PRIMARY KEY,
+  product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  variant_id INTEGER NOT NULL REFERENCES product_variants(id) ON DELETE CASCADE,
+  code VARCHAR(48) NOT NULL UNIQUE,
+  format VARCHAR(10) NOT NULL CHECK (format IN ('ean13', 'upca', 'code128')),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS product_barcodes_variant_id_idx ON product_barcodes (variant_id);
+
+-- EAN-13 berawalan 0 disimpan sebagai UPC-A 12 digit (barcode yang sama) agar scan
+-- dalam bentuk mana pun cocok; dilewati jika UPC-A-nya sudah terdaftar sendiri
+UPDATE product_barcodes b
+SET code = SUBSTRING(b.code FROM 2), format = 'upca'
+WHERE b.format = 'ean13' AND b.code LIKE '0%'
+  AND NOT EXISTS (SELECT 1 FROM product_barcodes d WHERE d.code = SUBSTRING(b.code FROM 2));
+
+-- ===============================
+--   PENCARIAN & PAGINATION
+-- ===============================
+-- Pencarian teks nama produk (GET /products?q=)
+CREATE INDEX IF NOT EXISTS products_name_search_idx ON products USING GIN (to_tsvector('simple', name));
+
+-- Urutan/filter yang sering dipakai endpoint list
+CREATE INDEX IF NOT EXISTS products_price_idx ON products (price);
+CREATE INDEX IF NOT EXISTS orders_order_date_idx ON orders (order_date);
+CREATE INDEX IF NOT EXISTS orders_status_idx ON orders (status);
+-- Tabel dasar transactions belum punya created_at; transaksi lama diberi waktu migrasi
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS created_at TIMESTAMP NOT NULL DEFAULT NOW();
+CREATE INDEX IF NOT EXISTS transactions_created_at_idx ON transactions (created_at);
+CREATE INDEX IF NOT EXISTS stocks_created_at_idx ON stocks (created_at);
+
+-- ===============================
+--   GAMBAR PRODUK
+-- ===============================
+-- File disimpan lewat storage adapter (default disk lokal); tabel hanya menyimpan key-nya
+CREATE TABLE IF NOT EXISTS product_images (
+  id SERIAL PRIMARY KEY,
+  product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  storage_key VARCHAR(255) NOT NULL,
+  thumbnail_key VARCHAR(255) NOT NULL,
+  content_type VARCHAR(50) NOT NULL,
+  width INTEGER,
+  height INTEGER,
+  size_bytes INTEGER,
+  position INTEGER NOT NULL DEFAULT 0,
+  is_primary BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS product_images_product_id_idx ON product_images (product_id, position);
+-- Maksimal satu gambar utama per produk
+CREATE UNIQUE INDEX IF NOT EXISTS product_images_primary_idx ON product_images (product_id) WHERE is_primary;
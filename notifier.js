@@ -0,0 +1,50 @@
+const fs = require("fs");
+const path = require("path");
+
+// ===============================
+//   NOTIFIER (EMAIL / PESAN)
+// ===============================
+// Pesan: { to, subject, text }. Driver dipilih lewat NOTIFIER_DRIVER:
+//   console → tampil di log server (default di luar production; ditolak saat
+//             NODE_ENV=production karena pesan berisi token reset password)
+//   file    → ditambahkan ke NOTIFIER_FILE (default: outbox.log)
+// Driver lain (SMTP, WhatsApp, dll) didaftarkan lewat registerNotifier().
+const drivers = {
+  console: async (message) => {
+    console.log(`[notifier] to=${message.to} subject="${message.subject}"\n${message.text}`);
+  },
+  file: async (message) => {
+    const file = process.env.NOTIFIER_FILE || "outbox.log";
+    await fs.promises.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+    await fs.promises.appendFile(
+      file,
+      JSON.stringify({ ...message, sent_at: new Date().toISOString() }) + "\n"
+    );
+  },
+};
+
+function registerNotifier(name, send) {
+  drivers[name] = send;
+}
+
+// Dipanggil saat server start agar konfigurasi yang salah langsung ketahuan
+function getNotifierName() {
+  const isProduction = process.env.NODE_ENV === "production";
+  const name = process.env.NOTIFIER_DRIVER || (isProduction ? null : "console");
+  if (!name) throw new Error("NOTIFIER_DRIVER wajib diisi saat NODE_ENV=production");
+  if (name === "console" && isProduction) {
+    throw new Error("Notifier 'console' hanya untuk development; atur NOTIFIER_DRIVER ke driver lain");
+  }
+  if (!drivers[name]) throw new Error(`Notifier '${name}' tidak terdaftar`);
+  return name;
+}
+
+async function notify(message) {
+  await drivers[getNotifierName()](message);
+}
+
+module.exports = {
+  registerNotifier,
+  getNotifierName,
+  notify,
+};
@@ -0,0 +1,196 @@
+const { createError } = require("./helper");
+const { applyStockMovement } = require("./stockHelper");
+const { recordStatusHistory } = require("./orderStatus");
+const { resolveVariant, variantLabel } = require("./variantHelper");
+
+// Item hanya boleh diubah selama order belum diproses
+const EDITABLE_STATUSES = ["pending"];
+
+// ===============================
+//   VALIDASI INPUT ITEM
+// ===============================
+function validateItemInput(item) {
+  const { product_id, variant_id, quantity } = item || {};
+  if ((!product_id && !variant_id) || quantity == null) return "product_id/variant_id dan quantity wajib diisi";
+  if (!Number.isInteger(Number(quantity)) || Number(quantity) <= 0) {
+    return "quantity harus bilangan bulat lebih dari 0";
+  }
+  return null;
+}
+
+// ===============================
+//   AMBIL ORDER (DIKUNCI)
+// ===============================
+async function lockOrder(client, orderId) {
+  const { rows } = await client.query("SELECT * FROM orders WHERE id = $1 FOR UPDATE", [orderId]);
+  if (rows.length === 0) throw createError(404, "Order tidak ditemukan");
+  return rows[0];
+}
+
+function assertEditable(order) {
+  if (!EDITABLE_STATUSES.includes(order.status)) {
+    throw createError(400, `Item order dengan status '${order.status}' tidak dapat diubah`);
+  }
+}
+
+// ===============================
+//   TAMBAH ITEM (SNAPSHOT HARGA)
+// ===============================
+// Nama, ukuran, warna, dan harga varian disalin ke order_items
+async function insertOrderItem(client, orderId, item) {
+  const err = validateItemInput(item);
+  if (err) throw createError(400, err);
+
+  const variant = await resolveVariant(client, item);
+  if (!variant.available) throw createError(400, `Produk '${variantLabel(variant)}' tidak tersedia`);
+
+  const { rows } = await client.query(
+    `INSERT INTO order_items (order_id, product_id, variant_id, product_name, size, color, quantity, unit_price)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING *`,
+    [
+      orderId,
+      variant.product_id,
+      variant.variant_id,
+      variant.name,
+      variant.size,
+      variant.color,
+      Number(item.quantity),
+      variant.price,
+    ]
+  );
+  return rows[0];
+}
+
+// ===============================
+//   HITUNG ULANG TOTAL ORDER
+// ===============================
+async function recalculateOrderTotal(client, orderId) {
+  const { rows } = await client.query(
+    `UPDATE orders
+     SET total_amount = (
+       SELECT COALESCE(SUM(subtotal), 0) FROM order_items WHERE order_id = $1
+     )
+     WHERE id = $1
+     RETURNING *`,
+    [orderId]
+  );
+  return rows[0];
+}
+
+// ===============================
+//   SESUAIKAN STOK SAAT ITEM DIUBAH
+// ===============================
+// Order dari checkout sudah mengurangi stok (ada pergerakan 'sale'); perubahan item
+// order seperti itu dicatat ke ledger sebesar selisihnya. delta > 0 = tambah terjual.
+// Order yang dibuat tanpa potong stok (POST /orders) tidak menyentuh stok.
+async function syncOrderItemStock(client, orderId, variantId, delta, changedBy = null) {
+  if (delta === 0) return;
+  const { rows } = await client.query(
+    "SELECT EXISTS (SELECT 1 FROM stocks WHERE order_id = $1 AND action = 'sale') AS holds_stock",
+    [orderId]
+  );
+  if (!rows[0].holds_stock) return;
+
+  await applyStockMovement(client, {
+    variant_id: variantId,
+    quantity_change: -delta,
+    action: delta > 0 ? "sale" : "return",
+    order_id: orderId,
+    created_by: changedBy,
+  });
+}
+
+async function getOrderItems(db, orderId) {
+  const { rows } = await db.query(
+    "SELECT * FROM order_items WHERE order_id = $1 ORDER BY id ASC",
+    [orderId]
+  );
+  return rows;
+}
+
+// ===============================
+//   BUAT ORDER + KURANGI STOK
+// ===============================
+// Dipakai checkout: order, item, dan pergerakan stok 'sale' dibuat dalam
+// satu transaksi milik pemanggil, sehingga gagal satu = batal semua.
+async function placeOrder(client, { customer_id, items, status = "pending", changed_by = null }) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw createError(400, "items wajib diisi minimal 1 produk");
+  }
+  for (const item of items) {
+    const err = validateItemInput(item);
+    if (err) throw createError(400, err);
+  }
+
+  // Jumlah per varian, untuk cek stok bila varian yang sama muncul lebih dari sekali
+  const resolved = [];
+  const needed = new Map();
+  for (const item of items) {
+    const variant = await resolveVariant(client, item);
+    resolved.push({ ...item, product_id: variant.product_id, variant_id: variant.variant_id });
+    const current = needed.get(variant.variant_id) || { variant, quantity: 0 };
+    current.quantity += Number(item.quantity);
+    needed.set(variant.variant_id, current);
+  }
+
+  // Kunci produk lalu varian berurutan berdasarkan id supaya checkout paralel tidak deadlock
+  const productIds = [...new Set([...needed.values()].map(({ variant }) => variant.product_id))];
+  await client.query(
+    "SELECT id FROM products WHERE id = ANY($1::int[]) ORDER BY id FOR UPDATE",
+    [productIds]
+  );
+  const { rows: locked } = await client.query(
+    `SELECT v.id, v.stock, (p.available AND v.available) AS available
+     FROM product_variants v
+     JOIN products p ON p.id = v.product_id
+     WHERE v.id = ANY($1::int[])
+     ORDER BY v.id
+     FOR UPDATE OF v`,
+    [[...needed.keys()]]
+  );
+  for (const [variantId, { variant, quantity }] of needed) {
+    const current = locked.find((row) => row.id === variantId);
+    if (!current.available) throw createError(400, `Produk '${variantLabel(variant)}' tidak tersedia`);
+    if (current.stock < quantity) {
+      throw createError(400, `Stok produk '${variantLabel(variant)}' tidak mencukupi (sisa ${current.stock})`);
+    }
+  }
+
+  const { rows: orders } = await client.query(
+    `INSERT INTO orders (customer_id, status)
+     VALUES ($1, $2)
+     RETURNING *`,
+    [customer_id || null, status]
+  );
+  const orderId = orders[0].id;
+  await recordStatusHistory(client, orderId, { to: status, changedBy: changed_by });
+
+  const createdItems = [];
+  for (const item of resolved) {
+    createdItems.push(await insertOrderItem(client, orderId, item));
+  }
+  for (const [variantId, { quantity }] of needed) {
+    await applyStockMovement(client, {
+      variant_id: variantId,
+      quantity_change: -quantity,
+      action: "sale",
+      order_id: orderId,
+    });
+  }
+
+  const order = await recalculateOrderTotal(client, orderId);
+  return { order, items: createdItems };
+}
+
+module.exports = {
+  EDITABLE_STATUSES,
+  validateItemInput,
+  lockOrder,
+  assertEditable,
+  insertOrderItem,
+  recalculateOrderTotal,
+  syncOrderItemStock,
+  getOrderItems,
+  placeOrder,
+};
@@ -0,0 +1,115 @@
+const { createError } = require("./helper");
+const { applyStockMovement } = require("./stockHelper");
+
+// ===============================
+//   SIKLUS STATUS ORDER
+// ===============================
+// pending → paid → packed → shipped → completed
+// cancelled: dari pending/paid/packed (stok dikembalikan)
+// refunded : dari paid/completed
+const ORDER_TRANSITIONS = {
+  pending: ["paid", "cancelled"],
+  paid: ["packed", "cancelled", "refunded"],
+  packed: ["shipped", "cancelled"],
+  shipped: ["completed"],
+  completed: ["refunded"],
+  cancelled: [],
+  refunded: [],
+};
+
+// Endpoint POST /orders/:id/<aksi> → status tujuan.
+// Tidak ada aksi manual ke 'paid' atau 'refunded': order hanya lunas lewat pembayaran
+// captured (settleOrderIfPaid) dan hanya refunded lewat refund penuh (POST /refunds).
+const ORDER_ACTIONS = {
+  pack: "packed",
+  ship: "shipped",
+  complete: "completed",
+  cancel: "cancelled",
+};
+
+async function recordStatusHistory(client, orderId, { from = null, to, changedBy = null, note = null }) {
+  await client.query(
+    `INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, note)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [orderId, from, to, changedBy, note]
+  );
+}
+
+// ===============================
+//   KEMBALIKAN STOK ORDER
+// ===============================
+// Membalik semua pergerakan stok yang masih tercatat untuk order ini
+async function restockOrder(client, orderId) {
+  const { rows } = await client.query(
+    `SELECT product_id, variant_id, SUM(quantity_change)::int AS net
+     FROM stocks
+     WHERE order_id = $1
+     GROUP BY product_id, variant_id
+     HAVING SUM(quantity_change) < 0
+     ORDER BY product_id, variant_id`,
+    [orderId]
+  );
+
+  for (const row of rows) {
+    await applyStockMovement(client, {
+      product_id: row.product_id,
+      variant_id: row.variant_id,
+      quantity_change: -row.net,
+      action: "return",
+      order_id: orderId,
+    });
+  }
+}
+
+// ===============================
+//   UBAH STATUS ORDER
+// ===============================
+// Harus dipanggil di dalam transaksi
+async function transitionOrder(client, orderId, to, { changedBy = null, note = null } = {}) {
+  const { rows } = await client.query("SELECT * FROM orders WHERE id = $1 FOR UPDATE", [orderId]);
+  if (rows.length === 0) throw createError(404, "Order tidak ditemukan");
+
+  const from = rows[0].status;
+  if (!(ORDER_TRANSITIONS[from] || []).includes(to)) {
+    throw createError(400, `Status order tidak bisa diubah dari '${from}' ke '${to}'`);
+  }
+
+  const updated = await client.query(
+    "UPDATE orders SET status = $1 WHERE id = $2 RETURNING *",
+    [to, orderId]
+  );
+  await recordStatusHistory(client, orderId, { from, to, changedBy, note });
+
+  if (to === "cancelled") {
+    await restockOrder(client, orderId);
+    // Pembayaran yang belum selesai ikut dibatalkan
+    await client.query(
+      `UPDATE transactions SET status = 'voided', updated_at = NOW()
+       WHERE order_id = $1 AND status IN ('pending', 'authorized')`,
+      [orderId]
+    );
+  }
+
+  return updated.rows[0];
+}
+
+async function getStatusHistory(db, orderId) {
+  const { rows } = await db.query(
+    `SELECT h.id, h.from_status, h.to_status, h.note, h.created_at,
+            h.changed_by, u.fullname AS changed_by_name
+     FROM order_status_history h
+     LEFT JOIN users u ON u.id = h.changed_by
+     WHERE h.order_id = $1
+     ORDER BY h.id ASC`,
+    [orderId]
+  );
+  return rows;
+}
+
+module.exports = {
+  ORDER_TRANSITIONS,
+  ORDER_ACTIONS,
+  recordStatusHistory,
+  transitionOrder,
+  getStatusHistory,
+};
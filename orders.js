@@ -1,30 +1,127 @@
 const express = require("express");
 const router = express.Router();
 const pool = require("../db/pool");
+const {
+  lockOrder,
+  assertEditable,
+  insertOrderItem,
+  recalculateOrderTotal,
+  syncOrderItemStock,
+  getOrderItems,
+} = require("../helper/orderHelper");
+const {
+  ORDER_ACTIONS,
+  recordStatusHistory,
+  transitionOrder,
+  getStatusHistory,
+} = require("../helper/orderStatus");
+const { getOrderBalance } = require("../helper/paymentHelper");
+const { paginate } = require("../helper/pagination");
+const { isValidId } = require("../helper/helper");
+
+const ORDER_SORTS = {
+  id: "o.id",
+  order_date: "COALESCE(o.order_date, 'epoch'::timestamp)",
+  total_amount: "COALESCE(o.total_amount, 0)",
+  status: "COALESCE(o.status, '')",
+};
 
 // ✅ GET semua order
 /**
  * @swagger
  * /orders:
  *   get:
- *     summary: Ambil semua order
+ *     summary: Ambil order (filter, urutan, pagination)
  *     tags: [Orders]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: customer_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: date_from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: date_to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Sampai dengan tanggal ini (inklusif)
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [id, order_date, total_amount, status]
+ *           default: id
+ *       - $ref: '#/components/parameters/Order'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Cursor'
  *     responses:
  *       200:
  *         description: Berhasil mengambil list order
+ *       400:
+ *         description: Parameter filter atau pagination tidak valid
  *       500:
  *         description: Server error
  */
 
-router.get("/", async (_req, res) => {
+router.get("/", async (req, res) => {
+  const { status, customer_id, date_from, date_to } = req.query;
+  const where = [];
+  const values = [];
+
+  if (customer_id != null && !isValidId(customer_id)) {
+    return res.status(400).json({ status: "failed", message: "customer_id harus bilangan bulat" });
+  }
+  for (const [field, value] of [["date_from", date_from], ["date_to", date_to]]) {
+    if (value != null && isNaN(Date.parse(value))) {
+      return res.status(400).json({ status: "failed", message: `${field} harus tanggal (YYYY-MM-DD)` });
+    }
+  }
+
+  if (status) {
+    values.push(status);
+    where.push(`o.status = $${values.length}`);
+  }
+  if (customer_id != null) {
+    values.push(Number(customer_id));
+    where.push(`o.customer_id = $${values.length}`);
+  }
+  if (date_from) {
+    values.push(date_from);
+    where.push(`o.order_date >= $${values.length}::date`);
+  }
+  if (date_to) {
+    values.push(date_to);
+    where.push(`o.order_date < $${values.length}::date + 1`);
+  }
+
   try {
-    const result = await pool.query("SELECT * FROM orders ORDER BY id ASC");
+    const { data, total, pagination } = await paginate(pool, {
+      select: "o.*",
+      from: "orders o",
+      where,
+      values,
+      idColumn: "o.id",
+      sortable: ORDER_SORTS,
+      query: req.query,
+    });
     res.status(200).json({
       status: "success",
-      data: result.rows,
+      count: data.length,
+      total,
+      pagination,
+      data,
     });
   } catch (err) {
-    res.status(500).json({ status: "error", message: err.message });
+    res.status(err.status || 500).json({ status: "error", message: err.message });
   }
 });
 
@@ -43,7 +140,7 @@ router.get("/", async (_req, res) => {
  *           type: integer
  *     responses:
  *       200:
- *         description: Order ditemukan
+ *         description: Order ditemukan beserta item-nya
  *       404:
  *         description: Order tidak ditemukan
  *       500:
@@ -56,9 +153,12 @@ router.get("/:id", async (req, res) => {
     if (result.rows.length === 0) {
       return res.status(404).json({ status: "error", message: "Order tidak ditemukan" });
     }
+    const items = await getOrderItems(pool, id);
+    const history = await getStatusHistory(pool, id);
+    const payment = await getOrderBalance(pool, id);
     res.status(200).json({
       status: "success",
-      data: result.rows[0],
+      data: { ...result.rows[0], items, history, payment },
     });
   } catch (err) {
     res.status(500).json({ status: "error", message: err.message });
@@ -144,7 +244,7 @@ router.get("/customer/:customer_id", async (req, res) => {
  * @swagger
  * /orders:
  *   post:
- *     summary: Tambah order baru
+ *     summary: Tambah order baru (status selalu pending)
  *     tags: [Orders]
  *     requestBody:
  *       required: true
@@ -155,33 +255,68 @@ router.get("/customer/:customer_id", async (req, res) => {
  *             properties:
  *               customer_id:
  *                 type: integer
- *               status:
- *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     product_id:
+ *                       type: integer
+ *                     variant_id:
+ *                       type: integer
+ *                       description: Wajib bila produk punya lebih dari satu varian
+ *                     quantity:
+ *                       type: integer
  *             required:
  *               - customer_id
  *     responses:
  *       201:
  *         description: Order berhasil ditambahkan
+ *       400:
+ *         description: Item tidak valid
+ *       404:
+ *         description: Produk tidak ditemukan
  *       500:
  *         description: Server error
  */
 
 router.post("/", async (req, res) => {
-  const { customer_id, status } = req.body;
+  const { customer_id, items = [] } = req.body;
+
+  if (!Array.isArray(items)) {
+    return res.status(400).json({ status: "failed", message: "items harus berupa array" });
+  }
+
+  const client = await pool.connect();
   try {
-    const result = await pool.query(
+    await client.query("BEGIN");
+
+    const result = await client.query(
       `INSERT INTO orders (customer_id, status)
-       VALUES ($1, $2)
+       VALUES ($1, 'pending')
        RETURNING *`,
-      [customer_id, status]
+      [customer_id]
     );
+    const orderId = result.rows[0].id;
+    await recordStatusHistory(client, orderId, { to: "pending", changedBy: req.user.id });
+
+    const createdItems = [];
+    for (const item of items) {
+      createdItems.push(await insertOrderItem(client, orderId, item));
+    }
+    const order = await recalculateOrderTotal(client, orderId);
+
+    await client.query("COMMIT");
     res.status(201).json({
       status: "success",
       message: "Order berhasil ditambahkan",
-      data: result.rows[0],
+      data: { ...order, items: createdItems },
     });
   } catch (err) {
-    res.status(500).json({ status: "error", message: err.message });
+    await client.query("ROLLBACK");
+    res.status(err.status || 500).json({ status: "error", message: err.message });
+  } finally {
+    client.release();
   }
 });
 
@@ -190,7 +325,7 @@ router.post("/", async (req, res) => {
  * @swagger
  * /orders/{id}:
  *   put:
- *     summary: Update order berdasarkan ID
+ *     summary: Update data order (status diubah lewat endpoint transisi)
  *     tags: [Orders]
  *     parameters:
  *       - in: path
@@ -207,11 +342,11 @@ router.post("/", async (req, res) => {
  *             properties:
  *               customer_id:
  *                 type: integer
- *               status:
- *                 type: string
  *     responses:
  *       200:
  *         description: Order berhasil diperbarui
+ *       400:
+ *         description: Status tidak boleh diubah lewat endpoint ini
  *       404:
  *         description: Order tidak ditemukan
  *       500:
@@ -220,13 +355,22 @@ router.post("/", async (req, res) => {
 router.put("/:id", async (req, res) => {
   const { id } = req.params;
   const { customer_id, status } = req.body;
+
+  if (status !== undefined) {
+    return res.status(400).json({
+      status: "failed",
+      message: "Status order diubah lewat POST /orders/{id}/{aksi}, bukan PUT",
+    });
+  }
+
   try {
+    // customer_id tidak dikirim → nilai lama dipertahankan
     const result = await pool.query(
       `UPDATE orders
-       SET customer_id = $1, status = $2
-       WHERE id = $3
+       SET customer_id = COALESCE($1, customer_id)
+       WHERE id = $2
        RETURNING *`,
-      [customer_id, status, id]
+      [customer_id, id]
     );
 
     if (result.rows.length === 0) {
@@ -248,7 +392,7 @@ router.put("/:id", async (req, res) => {
  * @swagger
  * /orders/{id}:
  *   delete:
- *     summary: Hapus order berdasarkan ID
+ *     summary: Hapus order yang sudah dibatalkan
  *     tags: [Orders]
  *     parameters:
  *       - in: path
@@ -259,6 +403,8 @@ router.put("/:id", async (req, res) => {
  *     responses:
  *       200:
  *         description: Order berhasil dihapus
+ *       400:
+ *         description: Order belum dibatalkan
  *       404:
  *         description: Order tidak ditemukan
  *       500:
@@ -268,10 +414,19 @@ router.put("/:id", async (req, res) => {
 router.delete("/:id", async (req, res) => {
   const { id } = req.params;
   try {
-    const result = await pool.query("DELETE FROM orders WHERE id = $1 RETURNING *", [id]);
-    if (result.rows.length === 0) {
+    const existing = await pool.query("SELECT status FROM orders WHERE id = $1", [id]);
+    if (existing.rows.length === 0) {
       return res.status(404).json({ status: "error", message: "Order tidak ditemukan" });
     }
+    // Order aktif harus dibatalkan dulu supaya stoknya kembali
+    if (existing.rows[0].status !== "cancelled") {
+      return res.status(400).json({
+        status: "error",
+        message: "Hanya order berstatus 'cancelled' yang bisa dihapus",
+      });
+    }
+
+    const result = await pool.query("DELETE FROM orders WHERE id = $1 RETURNING *", [id]);
     res.status(200).json({
       status: "success",
       message: "Order berhasil dihapus",
@@ -282,4 +437,368 @@ router.delete("/:id", async (req, res) => {
   }
 });
 
+// ✅ GET riwayat status order
+/**
+ * @swagger
+ * /orders/{id}/history:
+ *   get:
+ *     summary: Riwayat perubahan status order
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Berhasil mengambil riwayat status
+ *       404:
+ *         description: Order tidak ditemukan
+ *       500:
+ *         description: Server error
+ */
+router.get("/:id/history", async (req, res) => {
+  const { id } = req.params;
+  try {
+    const order = await pool.query("SELECT id, status FROM orders WHERE id = $1", [id]);
+    if (order.rows.length === 0) {
+      return res.status(404).json({ status: "error", message: "Order tidak ditemukan" });
+    }
+    const history = await getStatusHistory(pool, id);
+    res.status(200).json({
+      status: "success",
+      current_status: order.rows[0].status,
+      data: history,
+    });
+  } catch (err) {
+    res.status(500).json({ status: "error", message: err.message });
+  }
+});
+
+// ✅ Transisi status order
+/**
+ * @swagger
+ * /orders/{id}/{action}:
+ *   post:
+ *     summary: Ubah status order sesuai siklus (pending → paid → packed → shipped → completed)
+ *     description: |
+ *       pack: paid → packed, ship: packed → shipped, complete: shipped → completed,
+ *       cancel: pending/paid/packed → cancelled (stok dikembalikan).
+ *       Status paid dan refunded tidak bisa diset manual; order otomatis paid saat pembayaran captured
+ *       melunasi tagihan, dan refunded saat seluruh dana dikembalikan lewat POST /refunds.
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: action
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [pack, ship, complete, cancel]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Status order berhasil diubah
+ *       400:
+ *         description: Transisi status tidak diizinkan
+ *       404:
+ *         description: Order tidak ditemukan
+ *       500:
+ *         description: Server error
+ */
+for (const [action, toStatus] of Object.entries(ORDER_ACTIONS)) {
+  router.post(`/:id/${action}`, async (req, res) => {
+    const { id } = req.params;
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      const order = await transitionOrder(client, id, toStatus, {
+        changedBy: req.user.id,
+        note: req.body?.note || null,
+      });
+      await client.query("COMMIT");
+
+      res.status(200).json({
+        status: "success",
+        message: `Status order berhasil diubah menjadi '${toStatus}'`,
+        data: order,
+      });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      res.status(err.status || 500).json({ status: "error", message: err.message });
+    } finally {
+      client.release();
+    }
+  });
+}
+
+// ✅ GET item order
+/**
+ * @swagger
+ * /orders/{id}/items:
+ *   get:
+ *     summary: Ambil semua item dalam order
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Berhasil mengambil item order
+ *       404:
+ *         description: Order tidak ditemukan
+ *       500:
+ *         description: Server error
+ */
+router.get("/:id/items", async (req, res) => {
+  const { id } = req.params;
+  try {
+    const order = await pool.query("SELECT id, total_amount FROM orders WHERE id = $1", [id]);
+    if (order.rows.length === 0) {
+      return res.status(404).json({ status: "error", message: "Order tidak ditemukan" });
+    }
+    const items = await getOrderItems(pool, id);
+    res.status(200).json({
+      status: "success",
+      total: items.length,
+      total_amount: order.rows[0].total_amount,
+      data: items,
+    });
+  } catch (err) {
+    res.status(500).json({ status: "error", message: err.message });
+  }
+});
+
+// ✅ Tambah item ke order
+/**
+ * @swagger
+ * /orders/{id}/items:
+ *   post:
+ *     summary: Tambah item ke order (harga diambil dari varian saat ini)
+ *     description: Untuk order yang stoknya sudah dipotong saat checkout, perubahan item ikut dicatat di ledger stok.
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               product_id:
+ *                 type: integer
+ *               variant_id:
+ *                 type: integer
+ *                 description: Wajib bila produk punya lebih dari satu varian
+ *               quantity:
+ *                 type: integer
+ *             required:
+ *               - quantity
+ *     responses:
+ *       201:
+ *         description: Item berhasil ditambahkan
+ *       400:
+ *         description: Input tidak valid, order tidak dapat diubah, atau stok tidak mencukupi
+ *       404:
+ *         description: Order atau produk tidak ditemukan
+ *       500:
+ *         description: Server error
+ */
+router.post("/:id/items", async (req, res) => {
+  const { id } = req.params;
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    assertEditable(await lockOrder(client, id));
+
+    const item = await insertOrderItem(client, id, req.body);
+    await syncOrderItemStock(client, id, item.variant_id, item.quantity, req.user.id);
+    const order = await recalculateOrderTotal(client, id);
+
+    await client.query("COMMIT");
+    res.status(201).json({
+      status: "success",
+      message: "Item berhasil ditambahkan",
+      data: item,
+      total_amount: order.total_amount,
+    });
+  } catch (err) {
+    await client.query("ROLLBACK");
+    res.status(err.status || 500).json({ status: "error", message: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// ✅ Update jumlah item order
+/**
+ * @swagger
+ * /orders/{id}/items/{item_id}:
+ *   put:
+ *     summary: Update quantity item order
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: item_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               quantity:
+ *                 type: integer
+ *             required:
+ *               - quantity
+ *     responses:
+ *       200:
+ *         description: Item berhasil diperbarui
+ *       400:
+ *         description: Input tidak valid, order tidak dapat diubah, atau stok tidak mencukupi
+ *       404:
+ *         description: Order atau item tidak ditemukan
+ *       500:
+ *         description: Server error
+ */
+router.put("/:id/items/:item_id", async (req, res) => {
+  const { id, item_id } = req.params;
+  const { quantity } = req.body;
+
+  if (!Number.isInteger(Number(quantity)) || Number(quantity) <= 0) {
+    return res.status(400).json({
+      status: "failed",
+      message: "quantity harus bilangan bulat lebih dari 0",
+    });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    assertEditable(await lockOrder(client, id));
+
+    const existing = await client.query(
+      "SELECT quantity FROM order_items WHERE id = $1 AND order_id = $2",
+      [item_id, id]
+    );
+    if (existing.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ status: "error", message: "Item order tidak ditemukan" });
+    }
+
+    const result = await client.query(
+      `UPDATE order_items
+       SET quantity = $1
+       WHERE id = $2 AND order_id = $3
+       RETURNING *`,
+      [Number(quantity), item_id, id]
+    );
+    const item = result.rows[0];
+    await syncOrderItemStock(client, id, item.variant_id, item.quantity - existing.rows[0].quantity, req.user.id);
+    const order = await recalculateOrderTotal(client, id);
+
+    await client.query("COMMIT");
+    res.status(200).json({
+      status: "success",
+      message: "Item berhasil diperbarui",
+      data: item,
+      total_amount: order.total_amount,
+    });
+  } catch (err) {
+    await client.query("ROLLBACK");
+    res.status(err.status || 500).json({ status: "error", message: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// ✅ Hapus item order
+/**
+ * @swagger
+ * /orders/{id}/items/{item_id}:
+ *   delete:
+ *     summary: Hapus item dari order
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: item_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Item berhasil dihapus
+ *       400:
+ *         description: Order tidak dapat diubah
+ *       404:
+ *         description: Order atau item tidak ditemukan
+ *       500:
+ *         description: Server error
+ */
+router.delete("/:id/items/:item_id", async (req, res) => {
+  const { id, item_id } = req.params;
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    assertEditable(await lockOrder(client, id));
+
+    const result = await client.query(
+      "DELETE FROM order_items WHERE id = $1 AND order_id = $2 RETURNING *",
+      [item_id, id]
+    );
+    if (result.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ status: "error", message: "Item order tidak ditemukan" });
+    }
+    await syncOrderItemStock(client, id, result.rows[0].variant_id, -result.rows[0].quantity, req.user.id);
+    const order = await recalculateOrderTotal(client, id);
+
+    await client.query("COMMIT");
+    res.status(200).json({
+      status: "success",
+      message: "Item berhasil dihapus",
+      data: result.rows[0],
+      total_amount: order.total_amount,
+    });
+  } catch (err) {
+    await client.query("ROLLBACK");
+    res.status(err.status || 500).json({ status: "error", message: err.message });
+  } finally {
+    client.release();
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,121 @@
+const { createError } = require("./helper");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Error cast Postgres saat nilai cursor tidak cocok dengan tipe kolom sort
+// (22P02 teks/angka, 22007/22008 tanggal, 22003 angka di luar jangkauan)
+const CURSOR_CAST_ERRORS = ["22P02", "22007", "22008", "22003"];
+
+// ===============================
+//   PARAMETER LIST
+// ===============================
+// Kontrak yang sama untuk semua endpoint list:
+//   ?limit=20 (maks 100)
+//   ?page=1            → pagination offset
+//   ?cursor=<token>    → pagination cursor (pakai next_cursor dari halaman sebelumnya)
+//   ?sort=<kolom>&order=asc|desc
+// sortable: { nama_param: "ekspresi SQL" }; kolom sort tidak boleh NULL agar cursor konsisten.
+function parseListQuery(query, { sortable, defaultSort = "id", defaultOrder = "asc" }) {
+  const limit = query.limit == null ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw createError(400, `limit harus bilangan bulat 1-${MAX_LIMIT}`);
+  }
+
+  const page = query.page == null ? 1 : Number(query.page);
+  if (!Number.isInteger(page) || page < 1) throw createError(400, "page harus bilangan bulat >= 1");
+
+  const sort = query.sort || defaultSort;
+  // hasOwn: nama seperti "constructor" atau "__proto__" tidak boleh lolos ke ORDER BY
+  if (!Object.hasOwn(sortable, sort)) {
+    throw createError(400, `sort harus salah satu dari: ${Object.keys(sortable).join(", ")}`);
+  }
+
+  const order = String(query.order || defaultOrder).toLowerCase();
+  if (!["asc", "desc"].includes(order)) throw createError(400, "order harus 'asc' atau 'desc'");
+
+  let cursor = null;
+  if (query.cursor) {
+    try {
+      cursor = JSON.parse(Buffer.from(String(query.cursor), "base64url").toString("utf8"));
+    } catch {
+      cursor = null;
+    }
+    if (!Array.isArray(cursor) || cursor.length !== 2 || cursor[0] == null) {
+      throw createError(400, "cursor tidak valid");
+    }
+  }
+
+  return { limit, page, sort, order, cursor };
+}
+
+function encodeCursor(value, id) {
+  return Buffer.from(JSON.stringify([value, id]), "utf8").toString("base64url");
+}
+
+// ===============================
+//   QUERY BERHALAMAN
+// ===============================
+// where/values berisi filter milik route ($1..$n); placeholder pagination ditambahkan setelahnya.
+// Mengembalikan { data, total, pagination } — total dihitung dari filter saja, tanpa cursor.
+async function paginate(
+  db,
+  { select, from, where = [], values = [], idColumn, sortable, query, defaultSort, defaultOrder }
+) {
+  const { limit, page, sort, order, cursor } = parseListQuery(query, { sortable, defaultSort, defaultOrder });
+  const sortExpr = sortable[sort];
+  const filter = where.length > 0 ? `WHERE ${where.join(" AND ")}` : "";
+
+  const { rows: counted } = await db.query(`SELECT COUNT(*)::int AS total FROM ${from} ${filter}`, values);
+  const total = counted[0].total;
+
+  const params = [...values];
+  const conditions = [...where];
+  if (cursor) {
+    params.push(cursor[0], cursor[1]);
+    const op = order === "asc" ? ">" : "<";
+    conditions.push(`(${sortExpr}, ${idColumn}) ${op} ($${params.length - 1}, $${params.length})`);
+  }
+  params.push(limit + 1);
+  let sql = `SELECT ${select}, (${sortExpr})::text AS _cursor_value, ${idColumn} AS _cursor_id
+     FROM ${from}
+     ${conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""}
+     ORDER BY ${sortExpr} ${order}, ${idColumn} ${order}
+     LIMIT $${params.length}`;
+  if (!cursor) {
+    params.push((page - 1) * limit);
+    sql += ` OFFSET $${params.length}`;
+  }
+
+  let rows;
+  try {
+    ({ rows } = await db.query(sql, params));
+  } catch (err) {
+    if (cursor && CURSOR_CAST_ERRORS.includes(err.code)) throw createError(400, "cursor tidak valid");
+    throw err;
+  }
+  const hasMore = rows.length > limit;
+  const pageRows = rows.slice(0, limit);
+  const last = pageRows[pageRows.length - 1];
+  const data = pageRows.map(({ _cursor_value, _cursor_id, ...row }) => row);
+
+  return {
+    data,
+    total,
+    pagination: {
+      limit,
+      page: cursor ? null : page,
+      total_pages: Math.ceil(total / limit),
+      sort,
+      order,
+      next_cursor: hasMore && last ? encodeCursor(last._cursor_value, last._cursor_id) : null,
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseListQuery,
+  paginate,
+};
@@ -0,0 +1,129 @@
+const { createHmac, randomUUID, timingSafeEqual } = require("crypto");
+const { createError } = require("./helper");
+
+// ===============================
+//   PAYMENT GATEWAY (PROVIDER)
+// ===============================
+// Setiap provider adalah objek dengan fungsi:
+//   createIntent({ transaction, amount }) → { provider_ref, status, ...data untuk klien }
+//   capture({ provider_ref, amount })     → { status }
+//   refund({ provider_ref, amount })      → { provider_ref }
+//   verifyWebhook(rawBody, headers)       → boolean (cek tanda tangan)
+//   parseWebhook(body)                    → { event_id, provider_ref, status }
+// Provider sungguhan (Midtrans, Xendit, dll) didaftarkan lewat registerProvider().
+// Map, bukan objek biasa: nama dari URL/body seperti "constructor" tidak boleh cocok
+const providers = new Map();
+
+function registerProvider(name, provider) {
+  providers.set(name, provider);
+}
+
+function getProvider(name) {
+  const provider = providers.get(name);
+  if (!provider) throw createError(400, `Payment provider '${name}' tidak terdaftar`);
+  return provider;
+}
+
+function listProviders() {
+  return [...providers.keys()];
+}
+
+// Tanda tangan webhook: HMAC-SHA256 (hex) dari raw body
+function signPayload(secret, rawBody) {
+  return createHmac("sha256", secret).update(rawBody).digest("hex");
+}
+
+function isValidSignature(secret, rawBody, signature) {
+  if (!secret || !rawBody || typeof signature !== "string") return false;
+  const expected = Buffer.from(signPayload(secret, rawBody));
+  const received = Buffer.from(signature);
+  return expected.length === received.length && timingSafeEqual(expected, received);
+}
+
+// ===============================
+//   MOCK PROVIDER (OFFLINE)
+// ===============================
+// Untuk development dan testing: tidak ada request ke luar, status pembayaran
+// diubah lewat webhook yang ditandatangani dengan MOCK_PAYMENT_SECRET.
+// Hanya aktif jika PAYMENT_MOCK_ENABLED=true; secret wajib diisi (tidak ada nilai bawaan).
+const MOCK_ENABLED = process.env.PAYMENT_MOCK_ENABLED === "true";
+
+const MOCK_EVENTS = {
+  authorize: "authorized",
+  capture: "captured",
+  fail: "failed",
+  void: "voided",
+};
+
+function getMockSecret() {
+  return process.env.MOCK_PAYMENT_SECRET;
+}
+
+function isMockEnabled() {
+  return MOCK_ENABLED;
+}
+
+// Dipanggil saat server start: mock aktif tanpa secret berarti webhook bisa dipalsukan
+function assertPaymentConfig() {
+  if (MOCK_ENABLED && !getMockSecret()) {
+    throw new Error("MOCK_PAYMENT_SECRET wajib diisi saat PAYMENT_MOCK_ENABLED=true");
+  }
+}
+
+const mockProvider = {
+  async createIntent({ amount }) {
+    const provider_ref = `mock_${randomUUID()}`;
+    return {
+      provider_ref,
+      status: "pending",
+      amount: Number(amount).toFixed(2),
+      client_secret: `${provider_ref}_secret`,
+    };
+  },
+
+  async capture() {
+    return { status: "captured" };
+  },
+
+  async refund() {
+    return { provider_ref: `mock_refund_${randomUUID()}` };
+  },
+
+  verifyWebhook(rawBody, headers) {
+    return isValidSignature(getMockSecret(), rawBody, headers["x-signature"]);
+  },
+
+  parseWebhook(body) {
+    return {
+      event_id: body?.id,
+      provider_ref: body?.data?.reference,
+      status: MOCK_EVENTS[body?.type],
+    };
+  },
+
+  // Membuat webhook bertanda tangan seperti yang akan dikirim provider
+  buildWebhook(provider_ref, event) {
+    if (!MOCK_EVENTS[event]) {
+      throw createError(400, `event harus salah satu dari: ${Object.keys(MOCK_EVENTS).join(", ")}`);
+    }
+    const body = JSON.stringify({
+      id: `evt_${randomUUID()}`,
+      type: event,
+      data: { reference: provider_ref },
+    });
+    return { body, headers: { "x-signature": signPayload(getMockSecret(), body) } };
+  },
+};
+
+// Mock hanya didaftarkan jika diaktifkan eksplisit agar tidak ada pembayaran palsu
+if (MOCK_ENABLED) registerProvider("mock", mockProvider);
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listProviders,
+  isMockEnabled,
+  assertPaymentConfig,
+  signPayload,
+  isValidSignature,
+};
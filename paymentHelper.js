@@ -0,0 +1,210 @@
+const { createError } = require("./helper");
+const { transitionOrder } = require("./orderStatus");
+const { getProvider } = require("./paymentGateway");
+
+const PAYMENT_METHODS = ["cash", "debit_card", "credit_card", "qris", "bank_transfer", "e_wallet"];
+
+// ===============================
+//   SIKLUS STATUS PEMBAYARAN
+// ===============================
+// pending → authorized → captured; pending/authorized → failed / voided
+const PAYMENT_TRANSITIONS = {
+  pending: ["authorized", "captured", "failed", "voided"],
+  authorized: ["captured", "failed", "voided"],
+  captured: [],
+  failed: [],
+  voided: [],
+};
+
+// Endpoint POST /transactions/:id/<aksi> → status tujuan
+const PAYMENT_ACTIONS = {
+  authorize: "authorized",
+  capture: "captured",
+  fail: "failed",
+  void: "voided",
+};
+
+// ===============================
+//   SISA TAGIHAN ORDER
+// ===============================
+// paid_amount     = pembayaran yang sudah captured
+// pending_amount  = pembayaran yang masih pending/authorized
+// refunded_amount = dana yang sudah dikembalikan (tidak mengurangi paid_amount)
+async function getOrderBalance(db, orderId) {
+  const { rows } = await db.query(
+    `SELECT o.id AS order_id, o.total_amount,
+            COALESCE(SUM(t.total_amount) FILTER (WHERE t.status = 'captured'), 0) AS paid_amount,
+            COALESCE(SUM(t.total_amount) FILTER (WHERE t.status IN ('pending', 'authorized')), 0) AS pending_amount,
+            (SELECT COALESCE(SUM(r.amount), 0) FROM refunds r WHERE r.order_id = o.id) AS refunded_amount
+     FROM orders o
+     LEFT JOIN transactions t ON t.order_id = o.id
+     WHERE o.id = $1
+     GROUP BY o.id`,
+    [orderId]
+  );
+  if (rows.length === 0) throw createError(404, "Order tidak ditemukan");
+
+  const balance = rows[0];
+  const outstanding = Math.max(Number(balance.total_amount) - Number(balance.paid_amount), 0);
+  return { ...balance, outstanding_amount: outstanding.toFixed(2), fully_paid: outstanding === 0 };
+}
+
+// Order pending otomatis menjadi paid begitu seluruh tagihan captured
+async function settleOrderIfPaid(client, orderId, changedBy = null) {
+  const balance = await getOrderBalance(client, orderId);
+  const { rows } = await client.query("SELECT status FROM orders WHERE id = $1", [orderId]);
+
+  if (balance.fully_paid && rows[0].status === "pending") {
+    await transitionOrder(client, orderId, "paid", { changedBy, note: "Lunas otomatis" });
+  }
+}
+
+// ===============================
+//   CATAT PEMBAYARAN BARU
+// ===============================
+// Harus dipanggil di dalam transaksi. Beberapa pembayaran parsial boleh untuk
+// satu order, asal totalnya tidak melebihi sisa tagihan.
+// Jika provider diisi, payment intent dibuat di provider dan status awal selalu pending;
+// status selanjutnya dikirim provider lewat webhook.
+async function createPayment(
+  client,
+  { order_id, payment_method, amount, status = "pending", provider = null, changedBy = null }
+) {
+  const gateway = provider ? getProvider(provider) : null;
+  if (gateway && status !== "pending") {
+    throw createError(400, "Pembayaran lewat provider selalu dimulai dengan status pending");
+  }
+  if (!PAYMENT_METHODS.includes(payment_method)) {
+    throw createError(400, `payment_method harus salah satu dari: ${PAYMENT_METHODS.join(", ")}`);
+  }
+  if (!["pending", "authorized", "captured"].includes(status)) {
+    throw createError(400, "status awal pembayaran harus pending, authorized, atau captured");
+  }
+  const value = Number(amount);
+  if (!Number.isFinite(value) || value <= 0) {
+    throw createError(400, "total_amount harus angka lebih dari 0");
+  }
+
+  const { rows: orders } = await client.query("SELECT * FROM orders WHERE id = $1 FOR UPDATE", [order_id]);
+  if (orders.length === 0) throw createError(404, "Order tidak ditemukan");
+  if (orders[0].status !== "pending") {
+    throw createError(400, `Order berstatus '${orders[0].status}' tidak menerima pembayaran`);
+  }
+
+  const balance = await getOrderBalance(client, order_id);
+  const available = Number(balance.outstanding_amount) - Number(balance.pending_amount);
+  if (value > available + 0.000001) {
+    throw createError(400, `total_amount melebihi sisa tagihan (${Math.max(available, 0).toFixed(2)})`);
+  }
+
+  const { rows } = await client.query(
+    `INSERT INTO transactions (order_id, payment_method, total_amount, status)
+     VALUES ($1, $2, $3, $4)
+     RETURNING *`,
+    [order_id, payment_method, value, status]
+  );
+
+  if (gateway) {
+    const intent = await gateway.createIntent({ transaction: rows[0], amount: value });
+    const updated = await client.query(
+      "UPDATE transactions SET provider = $1, provider_ref = $2 WHERE id = $3 RETURNING *",
+      [provider, intent.provider_ref, rows[0].id]
+    );
+    return { ...updated.rows[0], intent };
+  }
+
+  if (status === "captured") await settleOrderIfPaid(client, order_id, changedBy);
+  return rows[0];
+}
+
+// ===============================
+//   UBAH STATUS PEMBAYARAN
+// ===============================
+// fromProvider = true bila perubahan datang dari webhook (provider tidak dipanggil lagi)
+async function transitionPayment(client, transactionId, to, { changedBy = null, fromProvider = false } = {}) {
+  const { rows } = await client.query(
+    "SELECT * FROM transactions WHERE id = $1 FOR UPDATE",
+    [transactionId]
+  );
+  if (rows.length === 0) throw createError(404, "Transaksi tidak ditemukan");
+
+  const from = rows[0].status;
+  if (!(PAYMENT_TRANSITIONS[from] || []).includes(to)) {
+    throw createError(400, `Status transaksi tidak bisa diubah dari '${from}' ke '${to}'`);
+  }
+
+  if (to === "captured") {
+    const order = await client.query("SELECT status FROM orders WHERE id = $1 FOR UPDATE", [rows[0].order_id]);
+    if (["cancelled", "refunded"].includes(order.rows[0]?.status)) {
+      throw createError(400, `Order berstatus '${order.rows[0].status}', pembayaran tidak bisa di-capture`);
+    }
+  }
+
+  if (to === "captured" && rows[0].provider && !fromProvider) {
+    await getProvider(rows[0].provider).capture({
+      provider_ref: rows[0].provider_ref,
+      amount: Number(rows[0].total_amount),
+    });
+  }
+
+  const updated = await client.query(
+    "UPDATE transactions SET status = $1, updated_at = NOW() WHERE id = $2 RETURNING *",
+    [to, transactionId]
+  );
+
+  if (to === "captured") await settleOrderIfPaid(client, rows[0].order_id, changedBy);
+  return updated.rows[0];
+}
+
+// ===============================
+//   WEBHOOK PROVIDER
+// ===============================
+// Idempoten: event yang sama (provider + event_id) hanya diproses sekali.
+// Perubahan status yang tidak valid dicatat sebagai ignored, bukan error,
+// supaya provider tidak mengirim ulang terus-menerus.
+async function handlePaymentWebhook(client, provider, { event_id, provider_ref, status }, payload) {
+  if (!event_id || !provider_ref || !status) {
+    throw createError(400, "Payload webhook tidak valid");
+  }
+
+  const { rows: transactions } = await client.query(
+    "SELECT id, status FROM transactions WHERE provider = $1 AND provider_ref = $2",
+    [provider, provider_ref]
+  );
+  if (transactions.length === 0) throw createError(404, "Transaksi untuk webhook ini tidak ditemukan");
+  const transaction = transactions[0];
+
+  const event = await client.query(
+    `INSERT INTO payment_webhook_events (provider, event_id, transaction_id, status, payload)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (provider, event_id) DO NOTHING
+     RETURNING id`,
+    [provider, event_id, transaction.id, status, payload]
+  );
+  if (event.rows.length === 0) return { result: "duplicate", transaction_id: transaction.id };
+
+  if (transaction.status === status) return { result: "unchanged", transaction_id: transaction.id };
+
+  try {
+    const updated = await transitionPayment(client, transaction.id, status, { fromProvider: true });
+    return { result: "processed", transaction_id: updated.id, status: updated.status };
+  } catch (err) {
+    if (err.status !== 400) throw err;
+    await client.query(
+      "UPDATE payment_webhook_events SET ignored_reason = $1 WHERE id = $2",
+      [err.message, event.rows[0].id]
+    );
+    return { result: "ignored", transaction_id: transaction.id, reason: err.message };
+  }
+}
+
+module.exports = {
+  PAYMENT_METHODS,
+  PAYMENT_TRANSITIONS,
+  PAYMENT_ACTIONS,
+  getOrderBalance,
+  settleOrderIfPaid,
+  createPayment,
+  transitionPayment,
+  handlePaymentWebhook,
+};
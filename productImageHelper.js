@@ -0,0 +1,186 @@
+const { randomUUID } = require("crypto");
+const sharp = require("sharp");
+const { createError } = require("./helper");
+const { getStorage } = require("./mediaStorage");
+
+// Format hasil deteksi sharp → ekstensi file (isi file yang dicek, bukan header upload)
+const IMAGE_FORMATS = { jpeg: "jpg", png: "png", webp: "webp" };
+const IMAGE_MIME_TYPES = ["image/jpeg", "image/png", "image/webp"];
+const MAX_IMAGE_SIZE = (Number(process.env.IMAGE_MAX_SIZE_MB) || 5) * 1024 * 1024;
+const MAX_IMAGES_PER_UPLOAD = 10;
+const THUMBNAIL_SIZE = 320;
+
+function withImageUrls(image) {
+  const storage = getStorage();
+  return {
+    ...image,
+    url: storage.url(image.storage_key),
+    thumbnail_url: storage.url(image.thumbnail_key),
+  };
+}
+
+// ===============================
+//   UPLOAD GAMBAR PRODUK
+// ===============================
+// Harus dipanggil di dalam transaksi. File disimpan dulu ke storage; jika ada
+// yang gagal, file yang sudah tersimpan dihapus lagi sebelum error dilempar.
+async function saveProductImages(client, productId, files) {
+  if (!Array.isArray(files) || files.length === 0) throw createError(400, "Minimal satu file gambar wajib diunggah");
+
+  const product = await client.query("SELECT id FROM products WHERE id = $1 FOR UPDATE", [productId]);
+  if (product.rows.length === 0) throw createError(404, "Produk tidak ditemukan");
+
+  const storage = getStorage();
+  const savedKeys = [];
+  try {
+    const { rows: current } = await client.query(
+      `SELECT COALESCE(MAX(position), 0) AS last_position, BOOL_OR(is_primary) AS has_primary
+       FROM product_images WHERE product_id = $1`,
+      [productId]
+    );
+    let position = current[0].last_position;
+    let hasPrimary = current[0].has_primary === true;
+
+    const created = [];
+    for (const file of files) {
+      let meta;
+      try {
+        meta = await sharp(file.buffer).metadata();
+      } catch {
+        meta = null;
+      }
+      const ext = meta && IMAGE_FORMATS[meta.format];
+      if (!ext) throw createError(400, `File '${file.originalname}' bukan gambar JPEG, PNG, atau WebP yang valid`);
+
+      const thumbnail = await sharp(file.buffer)
+        .rotate()
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: "inside", withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer();
+
+      const name = randomUUID();
+      const key = `products/${productId}/${name}.${ext}`;
+      const thumbnailKey = `products/${productId}/${name}_thumb.webp`;
+      await storage.save(key, file.buffer, `image/${meta.format}`);
+      savedKeys.push(key);
+      await storage.save(thumbnailKey, thumbnail, "image/webp");
+      savedKeys.push(thumbnailKey);
+
+      position += 1;
+      const { rows } = await client.query(
+        `INSERT INTO product_images
+           (product_id, storage_key, thumbnail_key, content_type, width, height, size_bytes, position, is_primary)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING *`,
+        [productId, key, thumbnailKey, `image/${meta.format}`, meta.width, meta.height, file.size, position, !hasPrimary]
+      );
+      hasPrimary = true;
+      created.push(withImageUrls(rows[0]));
+    }
+    return created;
+  } catch (err) {
+    await Promise.all(savedKeys.map((key) => storage.remove(key).catch(() => {})));
+    throw err;
+  }
+}
+
+// ===============================
+//   DAFTAR GAMBAR
+// ===============================
+async function getProductImages(db, productId) {
+  const { rows } = await db.query(
+    "SELECT * FROM product_images WHERE product_id = $1 ORDER BY position ASC, id ASC",
+    [productId]
+  );
+  return rows.map(withImageUrls);
+}
+
+// Gambar utama beberapa produk sekaligus (untuk list produk): { product_id: { url, thumbnail_url } }
+async function getPrimaryImages(db, productIds) {
+  if (productIds.length === 0) return {};
+  const { rows } = await db.query(
+    "SELECT * FROM product_images WHERE product_id = ANY($1::int[]) AND is_primary = TRUE",
+    [productIds]
+  );
+  return Object.fromEntries(
+    rows.map((row) => {
+      const { url, thumbnail_url } = withImageUrls(row);
+      return [row.product_id, { url, thumbnail_url }];
+    })
+  );
+}
+
+// ===============================
+//   URUTAN & GAMBAR UTAMA
+// ===============================
+async function setPrimaryImage(client, productId, imageId) {
+  const { rows } = await client.query(
+    "SELECT id FROM product_images WHERE id = $1 AND product_id = $2 FOR UPDATE",
+    [imageId, productId]
+  );
+  if (rows.length === 0) throw createError(404, "Gambar tidak ditemukan");
+
+  await client.query(
+    "UPDATE product_images SET is_primary = FALSE WHERE product_id = $1 AND is_primary = TRUE",
+    [productId]
+  );
+  await client.query("UPDATE product_images SET is_primary = TRUE WHERE id = $1", [imageId]);
+}
+
+// imageIds harus berisi semua gambar produk, urutan baru dari depan ke belakang
+async function reorderProductImages(client, productId, imageIds) {
+  if (!Array.isArray(imageIds) || imageIds.length === 0) throw createError(400, "image_ids harus berupa array");
+
+  const { rows } = await client.query(
+    "SELECT id FROM product_images WHERE product_id = $1 FOR UPDATE",
+    [productId]
+  );
+  const existing = rows.map((row) => row.id).sort((a, b) => a - b);
+  const requested = [...new Set(imageIds.map(Number))].sort((a, b) => a - b);
+  if (requested.length !== imageIds.length || requested.join(",") !== existing.join(",")) {
+    throw createError(400, "image_ids harus berisi semua gambar produk ini tepat satu kali");
+  }
+
+  for (const [index, id] of imageIds.entries()) {
+    await client.query("UPDATE product_images SET position = $1 WHERE id = $2", [index + 1, Number(id)]);
+  }
+}
+
+// Baris dihapus di transaksi; file dihapus pemanggil setelah COMMIT.
+// Jika yang dihapus gambar utama, gambar berikutnya menjadi utama.
+async function deleteProductImage(client, productId, imageId) {
+  const { rows } = await client.query(
+    "DELETE FROM product_images WHERE id = $1 AND product_id = $2 RETURNING *",
+    [imageId, productId]
+  );
+  if (rows.length === 0) throw createError(404, "Gambar tidak ditemukan");
+
+  if (rows[0].is_primary) {
+    await client.query(
+      `UPDATE product_images SET is_primary = TRUE
+       WHERE id = (
+         SELECT id FROM product_images WHERE product_id = $1 ORDER BY position ASC, id ASC LIMIT 1
+       )`,
+      [productId]
+    );
+  }
+  return rows[0];
+}
+
+async function removeImageFiles(image) {
+  const storage = getStorage();
+  await Promise.all([storage.remove(image.storage_key), storage.remove(image.thumbnail_key)]);
+}
+
+module.exports = {
+  IMAGE_MIME_TYPES,
+  MAX_IMAGE_SIZE,
+  MAX_IMAGES_PER_UPLOAD,
+  saveProductImages,
+  getProductImages,
+  getPrimaryImages,
+  setPrimaryImage,
+  reorderProductImages,
+  deleteProductImage,
+  removeImageFiles,
+};
@@ -1,14 +1,89 @@
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 const pool = require('../db/pool');
+const { isValidId } = require('../helper/helper');
+const {
+  getProductVariants,
+  validateVariantInput,
+  createVariant,
+  normalizeSku,
+} = require('../helper/variantHelper');
+const { resolveCategoryId, getDescendantIds } = require('../helper/categoryHelper');
+const { paginate } = require('../helper/pagination');
+const {
+  IMAGE_MIME_TYPES,
+  MAX_IMAGE_SIZE,
+  MAX_IMAGES_PER_UPLOAD,
+  saveProductImages,
+  getProductImages,
+  getPrimaryImages,
+  setPrimaryImage,
+  reorderProductImages,
+  deleteProductImage,
+  removeImageFiles,
+} = require('../helper/productImageHelper');
+const {
+  addBarcode,
+  getProductBarcodes,
+  findVariantByCode,
+  renderBarcode,
+} = require('../helper/barcodeHelper');
 
-const ALLOWED_TYPES = ['clothing', 'accessory'];
+// File ditahan di memori; tipe dicek dari header di sini lalu dari isi file oleh sharp
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_SIZE, files: MAX_IMAGES_PER_UPLOAD },
+  fileFilter: (_req, file, cb) => {
+    if (IMAGE_MIME_TYPES.includes(file.mimetype)) return cb(null, true);
+    cb(Object.assign(new Error(`Tipe file '${file.mimetype}' tidak didukung (JPEG, PNG, WebP)`), { status: 400 }));
+  },
+});
+
+function uploadImages(req, res, next) {
+  upload.array('images', MAX_IMAGES_PER_UPLOAD)(req, res, (err) => {
+    if (!err) return next();
+    if (err instanceof multer.MulterError) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? `Ukuran gambar maksimal ${MAX_IMAGE_SIZE / 1024 / 1024} MB`
+        : `Unggah lewat field 'images', maksimal ${MAX_IMAGES_PER_UPLOAD} file`;
+      return res.status(400).json({ error: message });
+    }
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    res.status(500).json({ error: 'Server error' });
+  });
+}
+
+const PRODUCT_SORTS = { id: 'p.id', name: 'p.name', price: 'p.price', stock: 'COALESCE(p.stock, 0)' };
+
+// Nama kategori ikut dikirim sebagai field category
+const PRODUCT_SELECT = `
+  SELECT p.*, c.name AS category
+  FROM products p
+  LEFT JOIN categories c ON c.id = p.category_id`;
 
 function validateProductInput(body) {
-  const { id, name, price, size, color, category } = body;
-  if (!id || !name || !size || !color || !category || price == null) return 'Semua field wajib diisi';
-  if (!ALLOWED_TYPES.includes(category)) return 'category harus "clothing" atau "accessory"';
+  const { name, price, size, color, category_id, category, variants } = body;
+  // size/color cukup diisi di varian bila produk dibuat dengan daftar variants
+  const hasVariants = Array.isArray(variants) && variants.length > 0;
+  if (!name || (!hasVariants && (!size || !color)) || (category_id == null && !category) || price == null) {
+    return 'Semua field wajib diisi';
+  }
+  if (category_id != null && !isValidId(category_id)) return 'category_id harus ID kategori';
   if (isNaN(price) || price < 0) return 'price harus angka valid dan tidak negatif';
+  for (const field of ['reorder_point', 'reorder_quantity']) {
+    const value = body[field];
+    if (value != null && (!Number.isInteger(Number(value)) || Number(value) < 0)) {
+      return `${field} harus bilangan bulat dan tidak negatif`;
+    }
+  }
+  if (variants != null) {
+    if (!Array.isArray(variants)) return 'variants harus berupa array';
+    for (const variant of variants) {
+      const variantErr = validateVariantInput(variant || {});
+      if (variantErr) return variantErr;
+    }
+  }
   return null;
 }
 
@@ -17,34 +92,211 @@ function validateProductInput(body) {
  * @swagger
  * /products:
  *   get:
- *     summary: Ambil semua produk
+ *     summary: Cari dan ambil produk (filter, urutan, pagination)
  *     tags: [Products]
  *     parameters:
  *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Pencarian teks pada nama produk (awalan kata juga cocok)
+ *       - in: query
+ *         name: category_id
+ *         schema:
+ *           type: integer
+ *         description: Termasuk produk di sub-kategori
+ *       - in: query
+ *         name: size
+ *         schema:
+ *           type: string
+ *         description: Punya varian dengan ukuran ini
+ *       - in: query
+ *         name: color
+ *         schema:
+ *           type: string
+ *         description: Punya varian dengan warna ini
+ *       - in: query
+ *         name: min_price
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: max_price
+ *         schema:
+ *           type: number
+ *       - in: query
  *         name: available
  *         schema:
  *           type: boolean
  *         description: Filter produk berdasarkan ketersediaan
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [id, name, price, stock]
+ *           default: id
+ *       - $ref: '#/components/parameters/Order'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Cursor'
  *     responses:
  *       200:
- *         description: Berhasil mengambil list produk
+ *         description: Berhasil mengambil list produk (image = gambar utama)
+ *       400:
+ *         description: Parameter filter atau pagination tidak valid
  *       500:
  *         description: Server error
  */
 
 router.get('/', async (req, res) => {
-  const { available } = req.query;
-  let q = `SELECT id, name, price, size, color, category, available FROM products`;
+  const { q, category_id, size, color, min_price, max_price, available } = req.query;
+  const where = [];
   const values = [];
-  if (available === 'true') {
-    q += ` WHERE available = $1`;
-    values.push(true);
+
+  for (const [field, value] of [['min_price', min_price], ['max_price', max_price]]) {
+    if (value != null && (value === '' || isNaN(value))) {
+      return res.status(400).json({ error: `${field} harus angka` });
+    }
+  }
+  if (category_id != null && !isValidId(category_id)) {
+    return res.status(400).json({ error: 'category_id harus ID kategori' });
   }
 
   try {
-    const { rows } = await pool.query(q, values);
-    res.json({ count: rows.length, data: rows });
+    if (q) {
+      // Setiap kata dicari sebagai awalan: "kao hit" cocok dengan "Kaos Hitam"
+      const terms = String(q)
+        .split(/\s+/)
+        .map((word) => word.replace(/[^\p{L}\p{N}]/gu, ''))
+        .filter(Boolean)
+        .map((word) => `${word}:*`);
+      if (terms.length > 0) {
+        values.push(terms.join(' & '));
+        where.push(`to_tsvector('simple', p.name) @@ to_tsquery('simple', $${values.length})`);
+      }
+    }
+    if (category_id != null) {
+      values.push(await getDescendantIds(pool, category_id));
+      where.push(`p.category_id = ANY($${values.length}::int[])`);
+    }
+    for (const [column, value] of [['size', size], ['color', color]]) {
+      if (!value) continue;
+      values.push(value);
+      where.push(
+        `EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.id AND LOWER(v.${column}) = LOWER($${values.length}))`
+      );
+    }
+    if (min_price != null) {
+      values.push(Number(min_price));
+      where.push(`p.price >= $${values.length}`);
+    }
+    if (max_price != null) {
+      values.push(Number(max_price));
+      where.push(`p.price <= $${values.length}`);
+    }
+    if (available === 'true' || available === 'false') {
+      values.push(available === 'true');
+      where.push(`p.available = $${values.length}`);
+    }
+
+    const { data, total, pagination } = await paginate(pool, {
+      select: 'p.id, p.name, p.price, p.size, p.color, p.category_id, c.name AS category, p.stock, p.available',
+      from: 'products p LEFT JOIN categories c ON c.id = p.category_id',
+      where,
+      values,
+      idColumn: 'p.id',
+      sortable: PRODUCT_SORTS,
+      query: req.query,
+    });
+    const images = await getPrimaryImages(pool, data.map((product) => product.id));
+    res.json({
+      count: data.length,
+      total,
+      pagination,
+      data: data.map((product) => ({ ...product, image: images[product.id] || null })),
+    });
   } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// GET produk berdasarkan SKU varian
+/**
+ * @swagger
+ * /products/sku/{sku}:
+ *   get:
+ *     summary: Cari produk berdasarkan SKU varian (tidak membedakan huruf besar/kecil)
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: sku
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Produk ditemukan beserta varian pemilik SKU
+ *       404:
+ *         description: SKU tidak ditemukan
+ *       500:
+ *         description: Server error
+ */
+
+router.get('/sku/:sku', async (req, res) => {
+  try {
+    const { rows: variants } = await pool.query(
+      `SELECT v.*, COALESCE(v.price, p.price) AS effective_price
+       FROM product_variants v
+       JOIN products p ON p.id = v.product_id
+       WHERE UPPER(v.sku) = $1`,
+      [normalizeSku(req.params.sku)]
+    );
+    if (variants.length === 0) return res.status(404).json({ error: 'SKU tidak ditemukan' });
+
+    const { rows } = await pool.query(`${PRODUCT_SELECT} WHERE p.id = $1`, [variants[0].product_id]);
+    res.json({ ...rows[0], variant: variants[0] });
+  } catch {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// GET scan barcode / SKU di kasir
+/**
+ * @swagger
+ * /products/scan/{code}:
+ *   get:
+ *     summary: Cari produk dari hasil scan barcode atau SKU, beserta stok saat ini
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Produk dan varian ditemukan (matched_by = barcode atau sku)
+ *       404:
+ *         description: Kode tidak dikenal
+ *       500:
+ *         description: Server error
+ */
+
+router.get('/scan/:code', async (req, res) => {
+  try {
+    const match = await findVariantByCode(pool, req.params.code);
+    if (!match) return res.status(404).json({ error: 'Barcode atau SKU tidak dikenal' });
+
+    const { rows: variants } = await pool.query(
+      `SELECT v.*, COALESCE(v.price, p.price) AS effective_price
+       FROM product_variants v
+       JOIN products p ON p.id = v.product_id
+       WHERE v.id = $1`,
+      [match.variant_id]
+    );
+    const { rows } = await pool.query(`${PRODUCT_SELECT} WHERE p.id = $1`, [variants[0].product_id]);
+    res.json({ ...rows[0], variant: variants[0], matched_by: match.matched_by, barcode_format: match.format });
+  } catch {
     res.status(500).json({ error: 'Server error' });
   }
 });
@@ -64,7 +316,7 @@ router.get('/', async (req, res) => {
  *           type: integer
  *     responses:
  *       200:
- *         description: Produk ditemukan
+ *         description: Produk ditemukan beserta varian, barcode, dan gambarnya
  *       404:
  *         description: Produk tidak ditemukan
  *       500:
@@ -73,9 +325,14 @@ router.get('/', async (req, res) => {
 
 router.get('/:id', async (req, res) => {
   try {
-    const { rows } = await pool.query('SELECT * FROM products WHERE id = $1', [req.params.id]);
+    const { rows } = await pool.query(`${PRODUCT_SELECT} WHERE p.id = $1`, [req.params.id]);
     if (rows.length === 0) return res.status(404).json({ error: 'Produk tidak ditemukan' });
-    res.json(rows[0]);
+    res.json({
+      ...rows[0],
+      variants: await getProductVariants(pool, rows[0].id),
+      barcodes: await getProductBarcodes(pool, rows[0].id),
+      images: await getProductImages(pool, rows[0].id),
+    });
   } catch {
     res.status(500).json({ error: 'Server error' });
   }
@@ -94,8 +351,6 @@ router.get('/:id', async (req, res) => {
  *           schema:
  *             type: object
  *             properties:
- *               id:
- *                 type: integer
  *               name:
  *                 type: string
  *               price:
@@ -104,15 +359,36 @@ router.get('/:id', async (req, res) => {
  *                 type: string
  *               color:
  *                 type: string
+ *               category_id:
+ *                 type: integer
  *               category:
  *                 type: string
+ *                 description: Nama kategori, dipakai jika category_id tidak diisi
+ *               reorder_point:
+ *                 type: integer
+ *                 description: Alert stok menipis dikirim saat stok turun sampai angka ini
+ *               reorder_quantity:
+ *                 type: integer
+ *                 description: Saran jumlah pesan ulang
+ *               variants:
+ *                 type: array
+ *                 description: Daftar varian; jika kosong dibuat satu varian dari size dan color
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     size:
+ *                       type: string
+ *                     color:
+ *                       type: string
+ *                     sku:
+ *                       type: string
+ *                       description: Kosongkan untuk dibuat otomatis dari SKU_PATTERN
+ *                     price:
+ *                       type: number
+ *                       description: Harga khusus varian, kosongkan untuk memakai harga produk
  *             required:
- *               - id
  *               - name
  *               - price
- *               - size
- *               - color
- *               - category
  *     responses:
  *       201:
  *         description: Produk berhasil dibuat
@@ -127,26 +403,32 @@ router.post('/', async (req, res) => {
   const err = validateProductInput(req.body);
   if (err) return res.status(400).json({ error: err });
 
-  const { id, name, price, size, color, category } = req.body;
+  const { name, price, size, color, reorder_point, reorder_quantity } = req.body;
+  const variants = req.body.variants?.length ? req.body.variants : [{ size, color }];
   const client = await pool.connect();
 
   try {
     await client.query('BEGIN');
-    await client.query('LOCK TABLE products IN SHARE ROW EXCLUSIVE MODE');
-
-    const { rows: maxRows } = await client.query('SELECT COALESCE(MAX(id),0)+1 AS next_id FROM products');
-    const nextId = maxRows[0].next_id;
+    const categoryId = await resolveCategoryId(client, req.body);
 
+    // ID produk dari sequence database
     const { rows } = await client.query(
-      `INSERT INTO products (id, name, price, size, color, category, available)
-       VALUES ($1, $2, $3, $4, $5, $6, TRUE) RETURNING *`,
-      [nextId, name, price, size, color, category]
+      `INSERT INTO products (name, price, size, color, category_id, available, reorder_point, reorder_quantity)
+       VALUES ($1, $2, $3, $4, $5, TRUE, $6, $7) RETURNING id`,
+      [name, price, variants[0].size, variants[0].color, categoryId, reorder_point || 0, reorder_quantity || 0]
     );
 
+    const created = [];
+    for (const variant of variants) {
+      created.push(await createVariant(client, rows[0].id, variant));
+    }
+
+    const product = await client.query(`${PRODUCT_SELECT} WHERE p.id = $1`, [rows[0].id]);
     await client.query('COMMIT');
-    res.status(201).json(rows[0]);
+    res.status(201).json({ ...product.rows[0], variants: created });
   } catch (e) {
     await client.query('ROLLBACK');
+    if (e.status) return res.status(e.status).json({ error: e.message });
     res.status(500).json({ error: 'Server error' });
   } finally {
     client.release();
@@ -181,10 +463,17 @@ router.post('/', async (req, res) => {
  *                 type: string
  *               color:
  *                 type: string
+ *               category_id:
+ *                 type: integer
  *               category:
  *                 type: string
+ *                 description: Nama kategori, dipakai jika category_id tidak diisi
  *               available:
  *                 type: boolean
+ *               reorder_point:
+ *                 type: integer
+ *               reorder_quantity:
+ *                 type: integer
  *     responses:
  *       200:
  *         description: Produk berhasil diperbarui
@@ -200,19 +489,25 @@ router.put('/:id', async (req, res) => {
   const err = validateProductInput(req.body);
   if (err) return res.status(400).json({ error: err });
 
-  const { name, price, size, color, category, available } = req.body;
+  const { name, price, size, color, available, reorder_point, reorder_quantity } = req.body;
 
   try {
     const existing = await pool.query('SELECT * FROM products WHERE id = $1', [req.params.id]);
     if (existing.rows.length === 0) return res.status(404).json({ error: 'Produk tidak ditemukan' });
 
+    const categoryId = await resolveCategoryId(pool, req.body);
     const updateQuery = `
       UPDATE products
-      SET name=$1, price=$2, size=$3, color=$4, category=$5, available=COALESCE($6, available)
-      WHERE id=$7 RETURNING *`;
-    const { rows } = await pool.query(updateQuery, [name, price, size, color, category, available, req.params.id]);
+      SET name=$1, price=$2, size=$3, color=$4, category_id=$5, available=COALESCE($6, available),
+          reorder_point=COALESCE($7, reorder_point), reorder_quantity=COALESCE($8, reorder_quantity)
+      WHERE id=$9`;
+    await pool.query(updateQuery, [
+      name, price, size, color, categoryId, available, reorder_point, reorder_quantity, req.params.id
+    ]);
+    const { rows } = await pool.query(`${PRODUCT_SELECT} WHERE p.id = $1`, [req.params.id]);
     res.json(rows[0]);
-  } catch {
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
     res.status(500).json({ error: 'Server error' });
   }
 });
@@ -241,11 +536,667 @@ router.put('/:id', async (req, res) => {
 
 router.delete('/:id', async (req, res) => {
   try {
+    const images = await getProductImages(pool, req.params.id);
     const { rows } = await pool.query('DELETE FROM products WHERE id = $1 RETURNING *', [req.params.id]);
     if (rows.length === 0) return res.status(404).json({ error: 'Produk tidak ditemukan' });
+
+    // Baris product_images ikut terhapus (CASCADE), file-nya dihapus di sini
+    await Promise.all(images.map((image) => removeImageFiles(image).catch(() => {})));
+    res.status(204).send();
+  } catch {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ==============================
+// VARIAN PRODUK
+// ==============================
+/**
+ * @swagger
+ * /products/{id}/variants:
+ *   get:
+ *     summary: Ambil semua varian produk
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Berhasil mengambil list varian
+ *       404:
+ *         description: Produk tidak ditemukan
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/variants', async (req, res) => {
+  try {
+    const product = await pool.query('SELECT id FROM products WHERE id = $1', [req.params.id]);
+    if (product.rows.length === 0) return res.status(404).json({ error: 'Produk tidak ditemukan' });
+
+    const rows = await getProductVariants(pool, req.params.id);
+    res.json({ count: rows.length, data: rows });
+  } catch {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /products/{id}/variants:
+ *   post:
+ *     summary: Tambah varian produk (stok awal 0, diisi lewat /stocks atau purchase order)
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - size
+ *               - color
+ *             properties:
+ *               size:
+ *                 type: string
+ *               color:
+ *                 type: string
+ *               sku:
+ *                 type: string
+ *                 description: Kosongkan untuk dibuat otomatis dari SKU_PATTERN
+ *               price:
+ *                 type: number
+ *               available:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Varian berhasil dibuat
+ *       400:
+ *         description: Input tidak valid atau varian/SKU sudah ada
+ *       404:
+ *         description: Produk tidak ditemukan
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/variants', async (req, res) => {
+  try {
+    const product = await pool.query('SELECT id FROM products WHERE id = $1', [req.params.id]);
+    if (product.rows.length === 0) return res.status(404).json({ error: 'Produk tidak ditemukan' });
+
+    const variant = await createVariant(pool, product.rows[0].id, req.body);
+    res.status(201).json(variant);
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /products/{id}/variants/{variant_id}:
+ *   put:
+ *     summary: Update varian produk (stok tidak bisa diubah di sini)
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: variant_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               size:
+ *                 type: string
+ *               color:
+ *                 type: string
+ *               sku:
+ *                 type: string
+ *               price:
+ *                 type: number
+ *                 nullable: true
+ *                 description: null = kembali memakai harga produk
+ *               available:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Varian berhasil diperbarui
+ *       400:
+ *         description: Input tidak valid atau varian/SKU sudah ada
+ *       404:
+ *         description: Varian tidak ditemukan
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id/variants/:variant_id', async (req, res) => {
+  const err = validateVariantInput(req.body, { partial: true });
+  if (err) return res.status(400).json({ error: err });
+
+  const { size, color, sku, available } = req.body;
+  // price: undefined = tidak diubah, null = ikut harga produk
+  const priceGiven = Object.prototype.hasOwnProperty.call(req.body, 'price');
+  const price = req.body.price == null ? null : Number(req.body.price);
+
+  try {
+    const { rows } = await pool.query(
+      `UPDATE product_variants
+       SET size = COALESCE($1, size), color = COALESCE($2, color), sku = COALESCE($3, sku),
+           price = CASE WHEN $4::boolean THEN $5::numeric ELSE price END,
+           available = COALESCE($6, available)
+       WHERE id = $7 AND product_id = $8
+       RETURNING *`,
+      [
+        size,
+        color,
+        sku == null ? null : normalizeSku(sku),
+        priceGiven,
+        price,
+        available,
+        req.params.variant_id,
+        req.params.id,
+      ]
+    );
+    if (rows.length === 0) return res.status(404).json({ error: 'Varian tidak ditemukan' });
+    res.json(rows[0]);
+  } catch (e) {
+    // 23505 = unique_violation (ukuran/warna atau SKU sudah dipakai)
+    if (e.code === '23505') return res.status(400).json({ error: 'Varian atau SKU sudah ada' });
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /products/{id}/variants/{variant_id}:
+ *   delete:
+ *     summary: Hapus varian yang belum pernah dipakai (selain itu nonaktifkan lewat PUT)
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: variant_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Varian berhasil dihapus
+ *       400:
+ *         description: Varian terakhir, masih punya stok, atau sudah punya riwayat
+ *       404:
+ *         description: Varian tidak ditemukan
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id/variants/:variant_id', async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT id FROM products WHERE id = $1 FOR UPDATE', [req.params.id]);
+
+    const { rows } = await client.query(
+      'SELECT * FROM product_variants WHERE id = $1 AND product_id = $2 FOR UPDATE',
+      [req.params.variant_id, req.params.id]
+    );
+    if (rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Varian tidak ditemukan' });
+    }
+
+    const { rows: usage } = await client.query(
+      `SELECT
+         (SELECT COUNT(*) FROM product_variants WHERE product_id = $2)::int AS siblings,
+         (EXISTS (SELECT 1 FROM stocks WHERE variant_id = $1)
+           OR EXISTS (SELECT 1 FROM order_items WHERE variant_id = $1)
+           OR EXISTS (SELECT 1 FROM purchase_order_items WHERE variant_id = $1)) AS used`,
+      [rows[0].id, rows[0].product_id]
+    );
+    const reason = usage[0].siblings <= 1
+      ? 'Produk minimal punya satu varian'
+      : rows[0].stock !== 0
+        ? 'Varian masih punya stok'
+        : usage[0].used
+          ? 'Varian sudah punya riwayat stok/order, nonaktifkan saja (available = false)'
+          : null;
+    if (reason) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: reason });
+    }
+
+    await client.query('DELETE FROM product_variants WHERE id = $1', [rows[0].id]);
+    await client.query('COMMIT');
     res.status(204).send();
   } catch {
+    await client.query('ROLLBACK');
     res.status(500).json({ error: 'Server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// ==============================
+// BARCODE PRODUK
+// ==============================
+/**
+ * @swagger
+ * /products/{id}/barcodes:
+ *   get:
+ *     summary: Ambil semua barcode produk
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Berhasil mengambil list barcode
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/barcodes', async (req, res) => {
+  try {
+    const rows = await getProductBarcodes(pool, req.params.id);
+    res.json({ count: rows.length, data: rows });
+  } catch {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /products/{id}/barcodes:
+ *   post:
+ *     summary: Daftarkan barcode varian, atau buat EAN-13 toko bila code kosong
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: Kosongkan untuk membuat EAN-13 toko (prefix 20)
+ *               format:
+ *                 type: string
+ *                 enum: [ean13, upca, code128]
+ *                 description: Ditebak dari panjang kode bila tidak diisi
+ *               variant_id:
+ *                 type: integer
+ *                 description: Wajib bila produk punya lebih dari satu varian (atau pilih lewat size/color)
+ *               size:
+ *                 type: string
+ *               color:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Barcode berhasil disimpan
+ *       400:
+ *         description: Format atau digit cek tidak valid, atau barcode sudah terdaftar
+ *       404:
+ *         description: Produk atau varian tidak ditemukan
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/barcodes', async (req, res) => {
+  try {
+    const barcode = await addBarcode(pool, req.params.id, req.body || {});
+    res.status(201).json(barcode);
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /products/{id}/barcodes/{barcode_id}/label:
+ *   get:
+ *     summary: Gambar label barcode (SVG atau PNG)
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: barcode_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [svg, png]
+ *           default: svg
+ *     responses:
+ *       200:
+ *         description: Gambar label barcode
+ *       400:
+ *         description: type tidak dikenal
+ *       404:
+ *         description: Barcode tidak ditemukan
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/barcodes/:barcode_id/label', async (req, res) => {
+  const type = req.query.type || 'svg';
+  try {
+    const { rows } = await pool.query(
+      'SELECT * FROM product_barcodes WHERE id = $1 AND product_id = $2',
+      [req.params.barcode_id, req.params.id]
+    );
+    if (rows.length === 0) return res.status(404).json({ error: 'Barcode tidak ditemukan' });
+
+    const image = await renderBarcode(rows[0], type);
+    res.type(type === 'png' ? 'image/png' : 'image/svg+xml').send(image);
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /products/{id}/barcodes/{barcode_id}:
+ *   delete:
+ *     summary: Hapus barcode produk
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: barcode_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Barcode berhasil dihapus
+ *       404:
+ *         description: Barcode tidak ditemukan
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id/barcodes/:barcode_id', async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      'DELETE FROM product_barcodes WHERE id = $1 AND product_id = $2 RETURNING *',
+      [req.params.barcode_id, req.params.id]
+    );
+    if (rows.length === 0) return res.status(404).json({ error: 'Barcode tidak ditemukan' });
+    res.status(204).send();
+  } catch {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ==============================
+// GAMBAR PRODUK
+// ==============================
+/**
+ * @swagger
+ * /products/{id}/images:
+ *   get:
+ *     summary: Ambil semua gambar produk sesuai urutan
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Berhasil mengambil list gambar
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/images', async (req, res) => {
+  try {
+    const rows = await getProductImages(pool, req.params.id);
+    res.json({ count: rows.length, data: rows });
+  } catch {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /products/{id}/images:
+ *   post:
+ *     summary: Unggah satu atau beberapa gambar produk (thumbnail dibuat otomatis)
+ *     description: Gambar pertama produk otomatis menjadi gambar utama.
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               images:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Gambar berhasil diunggah
+ *       400:
+ *         description: Tipe atau ukuran file tidak valid
+ *       404:
+ *         description: Produk tidak ditemukan
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/images', uploadImages, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const images = await saveProductImages(client, req.params.id, req.files);
+    await client.query('COMMIT');
+    res.status(201).json({ count: images.length, data: images });
+  } catch (e) {
+    await client.query('ROLLBACK');
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    res.status(500).json({ error: 'Server error' });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /products/{id}/images:
+ *   put:
+ *     summary: Ubah urutan gambar produk
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - image_ids
+ *             properties:
+ *               image_ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: Semua ID gambar produk dalam urutan baru
+ *     responses:
+ *       200:
+ *         description: Urutan gambar diperbarui
+ *       400:
+ *         description: image_ids tidak lengkap atau berisi gambar produk lain
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id/images', async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await reorderProductImages(client, req.params.id, req.body?.image_ids);
+    await client.query('COMMIT');
+    res.json({ data: await getProductImages(pool, req.params.id) });
+  } catch (e) {
+    await client.query('ROLLBACK');
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    res.status(500).json({ error: 'Server error' });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /products/{id}/images/{image_id}:
+ *   put:
+ *     summary: Jadikan gambar sebagai gambar utama produk
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: image_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - is_primary
+ *             properties:
+ *               is_primary:
+ *                 type: boolean
+ *                 enum: [true]
+ *     responses:
+ *       200:
+ *         description: Gambar utama diperbarui
+ *       400:
+ *         description: Hanya is_primary = true yang didukung
+ *       404:
+ *         description: Gambar tidak ditemukan
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id/images/:image_id', async (req, res) => {
+  // Gambar utama selalu ada selama produk punya gambar; ganti dengan memilih gambar lain
+  if (req.body?.is_primary !== true) {
+    return res.status(400).json({ error: 'is_primary harus true (pilih gambar lain untuk mengganti gambar utama)' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await setPrimaryImage(client, req.params.id, req.params.image_id);
+    await client.query('COMMIT');
+    res.json({ data: await getProductImages(pool, req.params.id) });
+  } catch (e) {
+    await client.query('ROLLBACK');
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    res.status(500).json({ error: 'Server error' });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /products/{id}/images/{image_id}:
+ *   delete:
+ *     summary: Hapus gambar produk beserta thumbnail-nya
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: image_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Gambar berhasil dihapus
+ *       404:
+ *         description: Gambar tidak ditemukan
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id/images/:image_id', async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const image = await deleteProductImage(client, req.params.id, req.params.image_id);
+    await client.query('COMMIT');
+
+    // File dihapus setelah COMMIT: jika gagal, yang tersisa hanya file yatim, bukan baris tanpa file
+    await removeImageFiles(image).catch(() => {});
+    res.status(204).send();
+  } catch (e) {
+    await client.query('ROLLBACK');
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    res.status(500).json({ error: 'Server error' });
+  } finally {
+    client.release();
   }
 });
 
@@ -0,0 +1,229 @@
+const { createError } = require("./helper");
+const { applyStockMovement } = require("./stockHelper");
+const { resolveVariant } = require("./variantHelper");
+
+// ===============================
+//   SIKLUS STATUS PURCHASE ORDER
+// ===============================
+// draft → sent → partially_received → received
+// cancelled: dari draft/sent (belum ada barang yang diterima)
+const PO_TRANSITIONS = {
+  draft: ["sent", "cancelled"],
+  sent: ["partially_received", "received", "cancelled"],
+  partially_received: ["partially_received", "received"],
+  received: [],
+  cancelled: [],
+};
+
+// Status PO yang masih menunggu barang dari supplier
+const OPEN_PO_STATUSES = ["sent", "partially_received"];
+
+function assertTransition(po, to) {
+  if (!(PO_TRANSITIONS[po.status] || []).includes(to)) {
+    throw createError(400, `Status purchase order tidak bisa diubah dari '${po.status}' ke '${to}'`);
+  }
+}
+
+async function lockPurchaseOrder(client, poId) {
+  const { rows } = await client.query("SELECT * FROM purchase_orders WHERE id = $1 FOR UPDATE", [poId]);
+  if (rows.length === 0) throw createError(404, "Purchase order tidak ditemukan");
+  return rows[0];
+}
+
+function assertDraft(po) {
+  if (po.status !== "draft") {
+    throw createError(400, `Item purchase order berstatus '${po.status}' tidak dapat diubah`);
+  }
+}
+
+// ===============================
+//   ITEM PURCHASE ORDER
+// ===============================
+// Barang dipesan per varian (variant_id, atau product_id + size/color)
+async function addPurchaseOrderItem(client, poId, { product_id, variant_id, size, color, quantity, unit_cost = 0 }) {
+  if ((!product_id && !variant_id) || !Number.isInteger(Number(quantity)) || Number(quantity) <= 0) {
+    throw createError(400, "product_id/variant_id dan quantity (bilangan bulat > 0) wajib diisi");
+  }
+  if (isNaN(unit_cost) || Number(unit_cost) < 0) {
+    throw createError(400, "unit_cost harus angka valid dan tidak negatif");
+  }
+
+  const variant = await resolveVariant(client, { product_id, variant_id, size, color });
+
+  const { rows } = await client.query(
+    `INSERT INTO purchase_order_items (purchase_order_id, product_id, variant_id, quantity_ordered, unit_cost)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (purchase_order_id, variant_id)
+     DO UPDATE SET quantity_ordered = purchase_order_items.quantity_ordered + EXCLUDED.quantity_ordered,
+                   unit_cost = EXCLUDED.unit_cost
+     RETURNING *`,
+    [poId, variant.product_id, variant.variant_id, Number(quantity), Number(unit_cost)]
+  );
+  return rows[0];
+}
+
+async function recalculatePurchaseOrderTotal(client, poId) {
+  const { rows } = await client.query(
+    `UPDATE purchase_orders
+     SET total_amount = (
+       SELECT COALESCE(SUM(quantity_ordered * unit_cost), 0)
+       FROM purchase_order_items WHERE purchase_order_id = $1
+     )
+     WHERE id = $1
+     RETURNING *`,
+    [poId]
+  );
+  return rows[0];
+}
+
+async function getPurchaseOrderDetail(db, poId) {
+  const { rows } = await db.query(
+    `SELECT po.*, s.name AS supplier_name
+     FROM purchase_orders po
+     JOIN suppliers s ON s.id = po.supplier_id
+     WHERE po.id = $1`,
+    [poId]
+  );
+  if (rows.length === 0) throw createError(404, "Purchase order tidak ditemukan");
+
+  const { rows: items } = await db.query(
+    `SELECT poi.*, p.name AS product_name, v.size, v.color, v.sku,
+            poi.quantity_ordered - poi.quantity_received AS quantity_remaining
+     FROM purchase_order_items poi
+     JOIN products p ON p.id = poi.product_id
+     JOIN product_variants v ON v.id = poi.variant_id
+     WHERE poi.purchase_order_id = $1
+     ORDER BY poi.id ASC`,
+    [poId]
+  );
+  return { ...rows[0], items };
+}
+
+// ===============================
+//   KIRIM / BATALKAN
+// ===============================
+async function sendPurchaseOrder(client, poId) {
+  const po = await lockPurchaseOrder(client, poId);
+  assertTransition(po, "sent");
+
+  const items = await client.query(
+    "SELECT 1 FROM purchase_order_items WHERE purchase_order_id = $1 LIMIT 1",
+    [poId]
+  );
+  if (items.rows.length === 0) throw createError(400, "Purchase order masih kosong");
+
+  await client.query("UPDATE purchase_orders SET status = 'sent', sent_at = NOW() WHERE id = $1", [poId]);
+}
+
+async function cancelPurchaseOrder(client, poId) {
+  const po = await lockPurchaseOrder(client, poId);
+  assertTransition(po, "cancelled");
+  await client.query("UPDATE purchase_orders SET status = 'cancelled' WHERE id = $1", [poId]);
+}
+
+// ===============================
+//   TERIMA BARANG
+// ===============================
+// Harus dipanggil di dalam transaksi. lines: [{ variant_id atau product_id, quantity }];
+// jika kosong, seluruh sisa barang dianggap diterima.
+async function receivePurchaseOrder(client, poId, lines = [], { created_by = null } = {}) {
+  const po = await lockPurchaseOrder(client, poId);
+  if (!OPEN_PO_STATUSES.includes(po.status)) {
+    throw createError(400, `Purchase order berstatus '${po.status}' tidak bisa diterima`);
+  }
+  if (!Array.isArray(lines)) throw createError(400, "items harus berupa array");
+
+  const { rows: items } = await client.query(
+    "SELECT * FROM purchase_order_items WHERE purchase_order_id = $1 ORDER BY id FOR UPDATE",
+    [poId]
+  );
+
+  const receipts = lines.length > 0
+    ? lines
+    : items.map((item) => ({
+        variant_id: item.variant_id,
+        quantity: item.quantity_ordered - item.quantity_received,
+      })).filter((line) => line.quantity > 0);
+
+  for (const line of receipts) {
+    const quantity = Number(line?.quantity);
+    if ((!line?.product_id && !line?.variant_id) || !Number.isInteger(quantity) || quantity <= 0) {
+      throw createError(400, "Setiap item wajib berisi product_id/variant_id dan quantity (bilangan bulat > 0)");
+    }
+
+    // product_id saja hanya cukup bila PO memuat satu varian dari produk itu
+    const candidates = line.variant_id
+      ? items.filter((row) => row.variant_id === Number(line.variant_id))
+      : items.filter((row) => row.product_id === Number(line.product_id));
+    const label = line.variant_id ? `Varian ${line.variant_id}` : `Produk ${line.product_id}`;
+    if (candidates.length === 0) throw createError(404, `${label} tidak ada di purchase order ini`);
+    if (candidates.length > 1) {
+      throw createError(400, `Produk ${line.product_id} dipesan dalam beberapa varian, sebutkan variant_id`);
+    }
+    const item = candidates[0];
+
+    const remaining = item.quantity_ordered - item.quantity_received;
+    if (quantity > remaining) {
+      throw createError(400, `Jumlah diterima ${label.toLowerCase()} melebihi sisa pesanan (${remaining})`);
+    }
+
+    item.quantity_received += quantity;
+    await client.query(
+      "UPDATE purchase_order_items SET quantity_received = $1 WHERE id = $2",
+      [item.quantity_received, item.id]
+    );
+    await applyStockMovement(client, {
+      variant_id: item.variant_id,
+      quantity_change: quantity,
+      action: "purchase",
+      reason: `Penerimaan PO #${po.id}`,
+      purchase_order_id: po.id,
+      created_by,
+    });
+  }
+
+  const complete = items.every((item) => item.quantity_received >= item.quantity_ordered);
+  const to = complete ? "received" : "partially_received";
+  assertTransition(po, to);
+  await client.query(
+    `UPDATE purchase_orders
+     SET status = $1::varchar, received_at = CASE WHEN $1::varchar = 'received' THEN NOW() ELSE received_at END
+     WHERE id = $2`,
+    [to, poId]
+  );
+}
+
+// ===============================
+//   PO TERBUKA PER PRODUK
+// ===============================
+async function getOpenPurchaseOrdersForProduct(db, productId) {
+  const { rows } = await db.query(
+    `SELECT po.id AS purchase_order_id, po.status, po.sent_at, s.id AS supplier_id, s.name AS supplier_name,
+            poi.variant_id, v.size, v.color, poi.quantity_ordered, poi.quantity_received,
+            poi.quantity_ordered - poi.quantity_received AS quantity_remaining, poi.unit_cost
+     FROM purchase_order_items poi
+     JOIN purchase_orders po ON po.id = poi.purchase_order_id
+     JOIN suppliers s ON s.id = po.supplier_id
+     JOIN product_variants v ON v.id = poi.variant_id
+     WHERE poi.product_id = $1
+       AND po.status = ANY($2::varchar[])
+       AND poi.quantity_received < poi.quantity_ordered
+     ORDER BY po.sent_at ASC NULLS LAST, po.id ASC`,
+    [productId, OPEN_PO_STATUSES]
+  );
+  return rows;
+}
+
+module.exports = {
+  PO_TRANSITIONS,
+  OPEN_PO_STATUSES,
+  lockPurchaseOrder,
+  assertDraft,
+  addPurchaseOrderItem,
+  recalculatePurchaseOrderTotal,
+  getPurchaseOrderDetail,
+  sendPurchaseOrder,
+  cancelPurchaseOrder,
+  receivePurchaseOrder,
+  getOpenPurchaseOrdersForProduct,
+};
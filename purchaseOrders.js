@@ -0,0 +1,469 @@
+const express = require("express");
+const router = express.Router();
+const pool = require("../db/pool");
+const {
+  PO_TRANSITIONS,
+  lockPurchaseOrder,
+  assertDraft,
+  addPurchaseOrderItem,
+  recalculatePurchaseOrderTotal,
+  getPurchaseOrderDetail,
+  sendPurchaseOrder,
+  cancelPurchaseOrder,
+  receivePurchaseOrder,
+  getOpenPurchaseOrdersForProduct,
+} = require("../helper/purchaseOrderHelper");
+
+/**
+ * @swagger
+ * tags:
+ *   name: PurchaseOrders
+ *   description: Purchase order ke supplier (draft → sent → partially_received → received)
+ */
+
+// ==============================
+// GET semua purchase order
+// ==============================
+/**
+ * @swagger
+ * /purchase-orders:
+ *   get:
+ *     summary: Ambil semua purchase order
+ *     tags: [PurchaseOrders]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, sent, partially_received, received, cancelled]
+ *       - in: query
+ *         name: supplier_id
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Berhasil mengambil list purchase order
+ */
+router.get("/", async (req, res) => {
+  const { status, supplier_id } = req.query;
+
+  if (status && !PO_TRANSITIONS[status]) {
+    return res.status(400).json({
+      status: "failed",
+      message: `status harus salah satu dari: ${Object.keys(PO_TRANSITIONS).join(", ")}`,
+    });
+  }
+
+  try {
+    const { rows } = await pool.query(
+      `SELECT po.*, s.name AS supplier_name
+       FROM purchase_orders po
+       JOIN suppliers s ON s.id = po.supplier_id
+       WHERE ($1::varchar IS NULL OR po.status = $1)
+         AND ($2::int IS NULL OR po.supplier_id = $2)
+       ORDER BY po.id DESC`,
+      [status || null, supplier_id || null]
+    );
+    res.status(200).json({ status: "success", count: rows.length, data: rows });
+  } catch (err) {
+    res.status(500).json({ status: "error", message: err.message });
+  }
+});
+
+// ==============================
+// GET PO terbuka per produk
+// ==============================
+/**
+ * @swagger
+ * /purchase-orders/product/{product_id}:
+ *   get:
+ *     summary: Ambil purchase order yang masih menunggu barang untuk sebuah produk
+ *     tags: [PurchaseOrders]
+ *     parameters:
+ *       - in: path
+ *         name: product_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Berhasil mengambil PO terbuka
+ */
+router.get("/product/:product_id", async (req, res) => {
+  try {
+    const rows = await getOpenPurchaseOrdersForProduct(pool, req.params.product_id);
+    const incoming = rows.reduce((sum, row) => sum + row.quantity_remaining, 0);
+    res.status(200).json({ status: "success", count: rows.length, incoming, data: rows });
+  } catch (err) {
+    res.status(500).json({ status: "error", message: err.message });
+  }
+});
+
+// ==============================
+// GET purchase order by ID
+// ==============================
+/**
+ * @swagger
+ * /purchase-orders/{id}:
+ *   get:
+ *     summary: Ambil detail purchase order beserta item
+ *     tags: [PurchaseOrders]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Purchase order ditemukan
+ *       404:
+ *         description: Purchase order tidak ditemukan
+ */
+router.get("/:id", async (req, res) => {
+  try {
+    res.status(200).json({ status: "success", data: await getPurchaseOrderDetail(pool, req.params.id) });
+  } catch (err) {
+    res.status(err.status || 500).json({ status: "error", message: err.message });
+  }
+});
+
+// ==============================
+// CREATE purchase order
+// ==============================
+/**
+ * @swagger
+ * /purchase-orders:
+ *   post:
+ *     summary: Buat purchase order baru (status draft)
+ *     tags: [PurchaseOrders]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - supplier_id
+ *             properties:
+ *               supplier_id:
+ *                 type: integer
+ *               note:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     product_id:
+ *                       type: integer
+ *                     variant_id:
+ *                       type: integer
+ *                     quantity:
+ *                       type: integer
+ *                     unit_cost:
+ *                       type: number
+ *     responses:
+ *       201:
+ *         description: Purchase order berhasil dibuat
+ *       400:
+ *         description: Input tidak valid
+ *       404:
+ *         description: Supplier atau produk tidak ditemukan
+ */
+router.post("/", async (req, res) => {
+  const { supplier_id, note, items = [] } = req.body;
+
+  if (!supplier_id || !Array.isArray(items)) {
+    return res.status(400).json({
+      status: "failed",
+      message: "supplier_id wajib diisi dan items harus berupa array",
+    });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const supplier = await client.query("SELECT id FROM suppliers WHERE id = $1", [supplier_id]);
+    if (supplier.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ status: "error", message: "Supplier tidak ditemukan" });
+    }
+
+    const { rows } = await client.query(
+      `INSERT INTO purchase_orders (supplier_id, note, created_by)
+       VALUES ($1, $2, $3)
+       RETURNING *`,
+      [supplier_id, note || null, req.user.id]
+    );
+    for (const item of items) {
+      await addPurchaseOrderItem(client, rows[0].id, item);
+    }
+    await recalculatePurchaseOrderTotal(client, rows[0].id);
+    const po = await getPurchaseOrderDetail(client, rows[0].id);
+
+    await client.query("COMMIT");
+    res.status(201).json({ status: "success", message: "Purchase order berhasil dibuat", data: po });
+  } catch (err) {
+    await client.query("ROLLBACK");
+    res.status(err.status || 500).json({ status: "error", message: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// ==============================
+// Tambah / hapus item (draft)
+// ==============================
+/**
+ * @swagger
+ * /purchase-orders/{id}/items:
+ *   post:
+ *     summary: Tambah produk ke purchase order draft
+ *     tags: [PurchaseOrders]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - quantity
+ *             properties:
+ *               product_id:
+ *                 type: integer
+ *               variant_id:
+ *                 type: integer
+ *                 description: Wajib bila produk punya lebih dari satu varian (atau pilih lewat size/color)
+ *               size:
+ *                 type: string
+ *               color:
+ *                 type: string
+ *               quantity:
+ *                 type: integer
+ *               unit_cost:
+ *                 type: number
+ *     responses:
+ *       201:
+ *         description: Item ditambahkan
+ *       400:
+ *         description: Input tidak valid atau purchase order bukan draft
+ *       404:
+ *         description: Purchase order atau produk tidak ditemukan
+ */
+router.post("/:id/items", async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const po = await lockPurchaseOrder(client, req.params.id);
+    assertDraft(po);
+    await addPurchaseOrderItem(client, po.id, req.body);
+    await recalculatePurchaseOrderTotal(client, po.id);
+    const detail = await getPurchaseOrderDetail(client, po.id);
+    await client.query("COMMIT");
+
+    res.status(201).json({ status: "success", message: "Item ditambahkan", data: detail });
+  } catch (err) {
+    await client.query("ROLLBACK");
+    res.status(err.status || 500).json({ status: "error", message: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /purchase-orders/{id}/items/{item_id}:
+ *   delete:
+ *     summary: Hapus item dari purchase order draft
+ *     tags: [PurchaseOrders]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: item_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Item dihapus
+ *       400:
+ *         description: Purchase order bukan draft
+ *       404:
+ *         description: Purchase order atau item tidak ditemukan
+ */
+router.delete("/:id/items/:item_id", async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const po = await lockPurchaseOrder(client, req.params.id);
+    assertDraft(po);
+
+    const result = await client.query(
+      "DELETE FROM purchase_order_items WHERE purchase_order_id = $1 AND id = $2",
+      [po.id, req.params.item_id]
+    );
+    if (result.rowCount === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ status: "error", message: "Item tidak ada di purchase order" });
+    }
+
+    await recalculatePurchaseOrderTotal(client, po.id);
+    const detail = await getPurchaseOrderDetail(client, po.id);
+    await client.query("COMMIT");
+
+    res.status(200).json({ status: "success", message: "Item dihapus", data: detail });
+  } catch (err) {
+    await client.query("ROLLBACK");
+    res.status(err.status || 500).json({ status: "error", message: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// ==============================
+// Kirim / terima / batalkan
+// ==============================
+/**
+ * @swagger
+ * /purchase-orders/{id}/send:
+ *   post:
+ *     summary: Kirim purchase order draft ke supplier
+ *     tags: [PurchaseOrders]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Purchase order terkirim
+ *       400:
+ *         description: Purchase order kosong atau bukan draft
+ *       404:
+ *         description: Purchase order tidak ditemukan
+ */
+router.post("/:id/send", async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    await sendPurchaseOrder(client, req.params.id);
+    const detail = await getPurchaseOrderDetail(client, req.params.id);
+    await client.query("COMMIT");
+
+    res.status(200).json({ status: "success", message: "Purchase order terkirim", data: detail });
+  } catch (err) {
+    await client.query("ROLLBACK");
+    res.status(err.status || 500).json({ status: "error", message: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /purchase-orders/{id}/receive:
+ *   post:
+ *     summary: Terima barang dari supplier (stok bertambah lewat pergerakan 'purchase')
+ *     description: Tanpa items, seluruh sisa barang dianggap diterima.
+ *     tags: [PurchaseOrders]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     product_id:
+ *                       type: integer
+ *                     variant_id:
+ *                       type: integer
+ *                     quantity:
+ *                       type: integer
+ *     responses:
+ *       200:
+ *         description: Barang diterima
+ *       400:
+ *         description: Purchase order belum dikirim/sudah selesai atau jumlah melebihi sisa pesanan
+ *       404:
+ *         description: Purchase order atau item tidak ditemukan
+ */
+router.post("/:id/receive", async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    await receivePurchaseOrder(client, req.params.id, req.body?.items ?? [], {
+      created_by: req.user.id,
+    });
+    const detail = await getPurchaseOrderDetail(client, req.params.id);
+    await client.query("COMMIT");
+
+    res.status(200).json({ status: "success", message: "Barang diterima", data: detail });
+  } catch (err) {
+    await client.query("ROLLBACK");
+    res.status(err.status || 500).json({ status: "error", message: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /purchase-orders/{id}/cancel:
+ *   post:
+ *     summary: Batalkan purchase order yang belum ada barang diterima
+ *     tags: [PurchaseOrders]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Purchase order dibatalkan
+ *       400:
+ *         description: Purchase order sudah menerima barang
+ *       404:
+ *         description: Purchase order tidak ditemukan
+ */
+router.post("/:id/cancel", async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    await cancelPurchaseOrder(client, req.params.id);
+    const detail = await getPurchaseOrderDetail(client, req.params.id);
+    await client.query("COMMIT");
+
+    res.status(200).json({ status: "success", message: "Purchase order dibatalkan", data: detail });
+  } catch (err) {
+    await client.query("ROLLBACK");
+    res.status(err.status || 500).json({ status: "error", message: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
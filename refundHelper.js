@@ -0,0 +1,199 @@
+const { createError } = require("./helper");
+const { applyStockMovement } = require("./stockHelper");
+const { transitionOrder } = require("./orderStatus");
+const { getProvider } = require("./paymentGateway");
+
+// Refund hanya untuk order yang sudah dibayar (cancelled: dana dikembalikan tanpa retur stok)
+const REFUNDABLE_ORDER_STATUSES = ["paid", "packed", "shipped", "completed", "cancelled"];
+
+// ===============================
+//   SISA YANG BISA DI-REFUND
+// ===============================
+async function getRefundedAmount(db, transactionId) {
+  const { rows } = await db.query(
+    "SELECT COALESCE(SUM(amount), 0) AS total FROM refunds WHERE transaction_id = $1",
+    [transactionId]
+  );
+  return Number(rows[0].total);
+}
+
+// Jumlah item yang sudah pernah diretur per order_item
+async function getRefundedQuantities(db, orderId) {
+  const { rows } = await db.query(
+    `SELECT ri.order_item_id, SUM(ri.quantity)::int AS quantity
+     FROM refund_items ri
+     JOIN refunds r ON r.id = ri.refund_id
+     WHERE r.order_id = $1
+     GROUP BY ri.order_item_id`,
+    [orderId]
+  );
+  return new Map(rows.map((row) => [row.order_item_id, row.quantity]));
+}
+
+// ===============================
+//   CATAT REFUND
+// ===============================
+// Harus dipanggil di dalam transaksi. items berisi { order_item_id, quantity };
+// tanpa items, amount wajib diisi (refund nominal tanpa retur barang).
+async function createRefund(
+  client,
+  { transaction_id, items = [], amount, reason = null, restock = false, changedBy = null }
+) {
+  if (!Array.isArray(items)) throw createError(400, "items harus berupa array");
+  if (items.length === 0 && amount == null) {
+    throw createError(400, "items atau amount wajib diisi");
+  }
+
+  const { rows: transactions } = await client.query(
+    "SELECT * FROM transactions WHERE id = $1 FOR UPDATE",
+    [transaction_id]
+  );
+  if (transactions.length === 0) throw createError(404, "Transaksi tidak ditemukan");
+
+  const transaction = transactions[0];
+  if (transaction.status !== "captured") {
+    throw createError(400, `Transaksi berstatus '${transaction.status}' tidak bisa di-refund`);
+  }
+
+  const { rows: orders } = await client.query(
+    "SELECT * FROM orders WHERE id = $1 FOR UPDATE",
+    [transaction.order_id]
+  );
+  const order = orders[0];
+  if (!REFUNDABLE_ORDER_STATUSES.includes(order.status)) {
+    throw createError(400, `Order berstatus '${order.status}' tidak bisa di-refund`);
+  }
+  // Stok order yang dibatalkan sudah dikembalikan saat pembatalan
+  if (restock && order.status === "cancelled") {
+    throw createError(400, "Stok order yang dibatalkan sudah dikembalikan");
+  }
+
+  // Validasi item: milik order ini dan belum melebihi jumlah yang dipesan
+  const refunded = await getRefundedQuantities(client, order.id);
+  const lines = [];
+  for (const item of items) {
+    const quantity = Number(item?.quantity);
+    if (!item?.order_item_id || !Number.isInteger(quantity) || quantity <= 0) {
+      throw createError(400, "Setiap item wajib berisi order_item_id dan quantity (bilangan bulat > 0)");
+    }
+
+    const { rows } = await client.query(
+      "SELECT * FROM order_items WHERE id = $1 AND order_id = $2",
+      [item.order_item_id, order.id]
+    );
+    if (rows.length === 0) throw createError(404, `Item order ${item.order_item_id} tidak ditemukan`);
+
+    const orderItem = rows[0];
+    const already = (refunded.get(orderItem.id) || 0) + lines
+      .filter((line) => line.order_item_id === orderItem.id)
+      .reduce((sum, line) => sum + line.quantity, 0);
+    if (already + quantity > orderItem.quantity) {
+      throw createError(
+        400,
+        `Retur '${orderItem.product_name}' melebihi jumlah dipesan (sisa ${orderItem.quantity - already})`
+      );
+    }
+
+    lines.push({
+      order_item_id: orderItem.id,
+      product_id: orderItem.product_id,
+      variant_id: orderItem.variant_id,
+      quantity,
+      amount: Number(orderItem.unit_price) * quantity,
+    });
+  }
+
+  const itemsTotal = lines.reduce((sum, line) => sum + line.amount, 0);
+  const value = amount == null ? itemsTotal : Number(amount);
+  if (!Number.isFinite(value) || value <= 0) throw createError(400, "amount harus angka lebih dari 0");
+  if (lines.length > 0 && value > itemsTotal + 0.000001) {
+    throw createError(400, `amount melebihi nilai item yang diretur (${itemsTotal.toFixed(2)})`);
+  }
+
+  const remaining = Number(transaction.total_amount) - (await getRefundedAmount(client, transaction.id));
+  if (value > remaining + 0.000001) {
+    throw createError(400, `amount melebihi sisa dana transaksi (${Math.max(remaining, 0).toFixed(2)})`);
+  }
+
+  const { rows: inserted } = await client.query(
+    `INSERT INTO refunds (order_id, transaction_id, amount, reason, restock, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [order.id, transaction.id, value, reason, Boolean(restock) && lines.length > 0, changedBy]
+  );
+  let refund = inserted[0];
+
+  // Pembayaran lewat provider: dana dikembalikan juga di sisi provider
+  if (transaction.provider) {
+    const result = await getProvider(transaction.provider).refund({
+      provider_ref: transaction.provider_ref,
+      amount: value,
+    });
+    const updated = await client.query(
+      "UPDATE refunds SET provider_ref = $1 WHERE id = $2 RETURNING *",
+      [result.provider_ref, refund.id]
+    );
+    refund = updated.rows[0];
+  }
+
+  for (const line of lines) {
+    await client.query(
+      `INSERT INTO refund_items (refund_id, order_item_id, product_id, variant_id, quantity, amount)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [refund.id, line.order_item_id, line.product_id, line.variant_id, line.quantity, line.amount]
+    );
+    if (refund.restock) {
+      await applyStockMovement(client, {
+        product_id: line.product_id,
+        variant_id: line.variant_id,
+        quantity_change: line.quantity,
+        action: "return",
+        order_id: order.id,
+      });
+    }
+  }
+
+  await settleOrderIfRefunded(client, order, changedBy);
+  return getRefund(client, refund.id);
+}
+
+// Order paid/completed otomatis menjadi refunded bila seluruh dana sudah dikembalikan
+async function settleOrderIfRefunded(client, order, changedBy = null) {
+  if (!["paid", "completed"].includes(order.status)) return;
+
+  const { rows } = await client.query(
+    `SELECT
+       (SELECT COALESCE(SUM(total_amount), 0) FROM transactions
+        WHERE order_id = $1 AND status = 'captured') AS paid_amount,
+       (SELECT COALESCE(SUM(amount), 0) FROM refunds WHERE order_id = $1) AS refunded_amount`,
+    [order.id]
+  );
+  if (Number(rows[0].refunded_amount) >= Number(rows[0].paid_amount)) {
+    await transitionOrder(client, order.id, "refunded", { changedBy, note: "Refund penuh" });
+  }
+}
+
+// ===============================
+//   AMBIL REFUND
+// ===============================
+async function getRefund(db, refundId) {
+  const { rows } = await db.query("SELECT * FROM refunds WHERE id = $1", [refundId]);
+  if (rows.length === 0) throw createError(404, "Refund tidak ditemukan");
+
+  const { rows: items } = await db.query(
+    `SELECT ri.*, oi.product_name, oi.unit_price
+     FROM refund_items ri
+     JOIN order_items oi ON oi.id = ri.order_item_id
+     WHERE ri.refund_id = $1
+     ORDER BY ri.id ASC`,
+    [refundId]
+  );
+  return { ...rows[0], items };
+}
+
+module.exports = {
+  REFUNDABLE_ORDER_STATUSES,
+  getRefundedAmount,
+  createRefund,
+  getRefund,
+};
@@ -0,0 +1,170 @@
+const express = require("express");
+const router = express.Router();
+const pool = require("../db/pool");
+const { isValidId } = require("../helper/helper");
+const { createRefund, getRefund } = require("../helper/refundHelper");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Refunds
+ *   description: Refund dan retur barang atas transaksi yang sudah dibayar
+ */
+
+// ==============================
+// GET semua refund
+// ==============================
+/**
+ * @swagger
+ * /refunds:
+ *   get:
+ *     summary: Ambil semua refund
+ *     tags: [Refunds]
+ *     parameters:
+ *       - in: query
+ *         name: order_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: transaction_id
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Berhasil mengambil list refund
+ *       400:
+ *         description: Parameter filter tidak valid
+ */
+router.get("/", async (req, res) => {
+  const { order_id, transaction_id } = req.query;
+
+  for (const [name, value] of Object.entries({ order_id, transaction_id })) {
+    if (value != null && value !== "" && !isValidId(value)) {
+      return res.status(400).json({ status: "failed", message: `${name} harus bilangan bulat` });
+    }
+  }
+
+  try {
+    const { rows } = await pool.query(
+      `SELECT r.*, u.fullname AS created_by_name
+       FROM refunds r
+       LEFT JOIN users u ON u.id = r.created_by
+       WHERE ($1::int IS NULL OR r.order_id = $1)
+         AND ($2::int IS NULL OR r.transaction_id = $2)
+       ORDER BY r.id DESC`,
+      [order_id || null, transaction_id || null]
+    );
+    res.status(200).json({ status: "success", count: rows.length, data: rows });
+  } catch (err) {
+    res.status(500).json({ status: "error", message: err.message });
+  }
+});
+
+// ==============================
+// GET refund by ID
+// ==============================
+/**
+ * @swagger
+ * /refunds/{id}:
+ *   get:
+ *     summary: Ambil detail refund beserta item yang diretur
+ *     tags: [Refunds]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Refund ditemukan
+ *       404:
+ *         description: Refund tidak ditemukan
+ */
+router.get("/:id", async (req, res) => {
+  try {
+    res.status(200).json({ status: "success", data: await getRefund(pool, req.params.id) });
+  } catch (err) {
+    res.status(err.status || 500).json({ status: "error", message: err.message });
+  }
+});
+
+// ==============================
+// CREATE refund
+// ==============================
+/**
+ * @swagger
+ * /refunds:
+ *   post:
+ *     summary: Catat refund penuh atau sebagian atas sebuah transaksi
+ *     description: |
+ *       Transaksi asli tidak diubah. Nominal default = nilai item yang diretur.
+ *       Jika restock = true, item dikembalikan ke stok dengan action 'return'.
+ *       Order paid/completed otomatis menjadi refunded saat seluruh dana dikembalikan.
+ *     tags: [Refunds]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - transaction_id
+ *             properties:
+ *               transaction_id:
+ *                 type: integer
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     order_item_id:
+ *                       type: integer
+ *                     quantity:
+ *                       type: integer
+ *               amount:
+ *                 type: number
+ *                 description: Wajib jika items kosong
+ *               reason:
+ *                 type: string
+ *               restock:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       201:
+ *         description: Refund berhasil dicatat
+ *       400:
+ *         description: Input tidak valid atau melebihi sisa yang bisa di-refund
+ *       404:
+ *         description: Transaksi atau item order tidak ditemukan
+ */
+router.post("/", async (req, res) => {
+  const { transaction_id, items, amount, reason, restock } = req.body;
+
+  if (!transaction_id) {
+    return res.status(400).json({ status: "failed", message: "transaction_id wajib diisi" });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const refund = await createRefund(client, {
+      transaction_id,
+      items,
+      amount,
+      reason,
+      restock: restock === true,
+      changedBy: req.user.id,
+    });
+    await client.query("COMMIT");
+
+    res.status(201).json({ status: "success", message: "Refund berhasil dicatat", data: refund });
+  } catch (err) {
+    await client.query("ROLLBACK");
+    res.status(err.status || 500).json({ status: "error", message: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
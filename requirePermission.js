@@ -0,0 +1,79 @@
+const pool = require("../db/pool");
+
+// Aksi default per HTTP method untuk requirePermission("<resource>")
+const METHOD_ACTIONS = {
+  GET: "read",
+  HEAD: "read",
+  POST: "create",
+  PUT: "update",
+  PATCH: "update",
+  DELETE: "delete",
+};
+
+// ===============================
+//   CEK PERMISSION USER
+// ===============================
+// requirePermission("orders:create") → izin tetap
+// requirePermission("orders")        → izin mengikuti method (GET = orders:read, dst)
+module.exports = function requirePermission(permission) {
+  return async function (req, res, next) {
+    try {
+      const userId = req.user?.id;
+      if (!userId) {
+        return res.status(401).json({
+          status: "error",
+          message: "User tidak valid"
+        });
+      }
+
+      const required = permission.includes(":")
+        ? permission
+        : `${permission}:${METHOD_ACTIONS[req.method] || "read"}`;
+
+      const result = await pool.query(
+        `SELECT u.role, u._is_active_disabled,
+                COALESCE(array_agg(rp.permission) FILTER (WHERE rp.permission IS NOT NULL), '{}') AS permissions
+         FROM users u
+         LEFT JOIN role_permissions rp ON rp.role = LOWER(u.role)
+         WHERE u.id = $1
+         GROUP BY u.id`,
+        [userId]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({
+          status: "error",
+          message: "User tidak ditemukan"
+        });
+      }
+
+      const user = result.rows[0];
+
+      // Cek banned
+      if (user._is_active_disabled === true) {
+        return res.status(403).json({
+          status: "error",
+          message: "Akun Anda telah dinonaktifkan"
+        });
+      }
+
+      // Cek akses
+      if (!user.permissions.includes("*") && !user.permissions.includes(required)) {
+        return res.status(403).json({
+          status: "error",
+          message: `Akses ditolak: role '${user.role}' tidak memiliki izin '${required}'`
+        });
+      }
+
+      req.user.permissions = user.permissions;
+      next();
+
+    } catch (err) {
+      console.error("requirePermission error:", err.message);
+      return res.status(500).json({
+        status: "error",
+        message: "Internal server error"
+      });
+    }
+  };
+};
@@ -0,0 +1,153 @@
+const express = require("express");
+const router = express.Router();
+const pool = require("../db/pool");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Roles
+ *   description: Pengaturan permission per role
+ */
+
+/**
+ * @swagger
+ * /roles:
+ *   get:
+ *     summary: Ambil semua role beserta permission-nya
+ *     tags: [Roles]
+ *     responses:
+ *       200:
+ *         description: Berhasil mengambil list role
+ *       500:
+ *         description: Server error
+ */
+router.get("/", async (_req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT role, array_agg(permission ORDER BY permission) AS permissions
+       FROM role_permissions
+       GROUP BY role
+       ORDER BY role ASC`
+    );
+    res.status(200).json({ status: "success", count: rows.length, data: rows });
+  } catch (err) {
+    res.status(500).json({ status: "error", message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /roles/permissions:
+ *   get:
+ *     summary: Ambil semua permission yang tersedia
+ *     tags: [Roles]
+ *     responses:
+ *       200:
+ *         description: Berhasil mengambil list permission
+ *       500:
+ *         description: Server error
+ */
+router.get("/permissions", async (_req, res) => {
+  try {
+    const { rows } = await pool.query("SELECT * FROM permissions ORDER BY code ASC");
+    res.status(200).json({ status: "success", count: rows.length, data: rows });
+  } catch (err) {
+    res.status(500).json({ status: "error", message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /roles/{role}/permissions:
+ *   put:
+ *     summary: Ganti seluruh permission milik sebuah role
+ *     tags: [Roles]
+ *     parameters:
+ *       - in: path
+ *         name: role
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - permissions
+ *             properties:
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["orders:read", "orders:create"]
+ *     responses:
+ *       200:
+ *         description: Permission role berhasil diperbarui
+ *       400:
+ *         description: Permission tidak dikenal atau input tidak valid
+ *       500:
+ *         description: Server error
+ */
+router.put("/:role/permissions", async (req, res) => {
+  const role = req.params.role.toLowerCase();
+  const { permissions } = req.body;
+
+  if (!Array.isArray(permissions)) {
+    return res.status(400).json({
+      status: "failed",
+      message: "permissions harus berupa array",
+    });
+  }
+
+  const codes = [...new Set(permissions)];
+
+  // Jangan sampai admin mengunci dirinya sendiri dari halaman ini
+  const ownRole = String(req.user.role || "").toLowerCase() === role;
+  if (ownRole && !codes.includes("*") && !codes.includes("roles:update")) {
+    return res.status(400).json({
+      status: "failed",
+      message: "Tidak bisa menghapus izin 'roles:update' dari role Anda sendiri",
+    });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const known = await client.query(
+      "SELECT code FROM permissions WHERE code = ANY($1::varchar[])",
+      [codes]
+    );
+    const unknown = codes.filter((code) => !known.rows.some((row) => row.code === code));
+    if (unknown.length > 0) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({
+        status: "failed",
+        message: `Permission tidak dikenal: ${unknown.join(", ")}`,
+      });
+    }
+
+    await client.query("DELETE FROM role_permissions WHERE role = $1", [role]);
+    await client.query(
+      `INSERT INTO role_permissions (role, permission)
+       SELECT $1, unnest($2::varchar[])`,
+      [role, codes]
+    );
+
+    await client.query("COMMIT");
+    res.status(200).json({
+      status: "success",
+      message: "Permission role berhasil diperbarui",
+      data: { role, permissions: codes.sort() },
+    });
+  } catch (err) {
+    await client.query("ROLLBACK");
+    res.status(500).json({ status: "error", message: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,65 @@
+const pool = require("../db/pool");
+
+// Kolom sesi yang aman ditampilkan ke pemiliknya (tanpa isi token)
+const SESSION_COLUMNS = "session_id AS id, created_at, last_used_at, rotated_at, user_agent, ip_address";
+
+// ===============================
+//   CEK SESI MASIH AKTIF
+// ===============================
+// Token baru membawa sid; token lama dicocokkan lewat kolom token.
+// Sekaligus mencatat kapan sesi terakhir dipakai.
+async function touchSession({ sid, token }) {
+  const { rows } = sid
+    ? await pool.query(
+        `UPDATE tokens SET last_used_at = NOW()
+         WHERE session_id = $1
+         RETURNING user_id, session_id`,
+        [sid]
+      )
+    : await pool.query(
+        `UPDATE tokens SET last_used_at = NOW()
+         WHERE token = $1
+         RETURNING user_id, session_id`,
+        [token]
+      );
+  return rows[0] || null;
+}
+
+async function listUserSessions(userId) {
+  const { rows } = await pool.query(
+    `SELECT ${SESSION_COLUMNS}
+     FROM tokens
+     WHERE user_id = $1
+     ORDER BY COALESCE(last_used_at, created_at) DESC`,
+    [userId]
+  );
+  return rows;
+}
+
+async function revokeSession(userId, sessionId) {
+  const { rowCount } = await pool.query(
+    "DELETE FROM tokens WHERE user_id = $1 AND session_id = $2",
+    [userId, sessionId]
+  );
+  return rowCount > 0;
+}
+
+// ===============================
+//   CABUT SEMUA SESI USER
+// ===============================
+// exceptSessionId dipakai bila sesi yang sedang aktif ingin dipertahankan
+async function revokeUserSessions(userId, exceptSessionId = null, db = pool) {
+  const { rowCount } = await db.query(
+    `DELETE FROM tokens
+     WHERE user_id = $1 AND ($2::uuid IS NULL OR session_id <> $2::uuid)`,
+    [userId, exceptSessionId]
+  );
+  return rowCount;
+}
+
+module.exports = {
+  touchSession,
+  listUserSessions,
+  revokeSession,
+  revokeUserSessions,
+};
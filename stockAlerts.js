@@ -0,0 +1,125 @@
+const pool = require("../db/pool");
+const { notify } = require("./notifier");
+
+const DISPATCH_BATCH_SIZE = 50;
+// Gagal kirim dicoba lagi dengan jeda 1, 2, 4, ... menit (maks 1 jam); setelah
+// STOCK_ALERT_MAX_ATTEMPTS kali alert ditandai failed_at dan tidak diambil lagi.
+const MAX_ATTEMPTS = Number(process.env.STOCK_ALERT_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_SECONDS = 60;
+const RETRY_MAX_SECONDS = 3600;
+// Alert yang sedang dikirim disembunyikan selama ini; jika proses mati di tengah
+// pengiriman, alert otomatis diambil lagi setelahnya.
+const CLAIM_SECONDS = 300;
+
+// ===============================
+//   CATAT ALERT STOK MENIPIS
+// ===============================
+// Dipanggil dari applyStockMovement di dalam transaksi yang sama. Alert disimpan
+// dulu di tabel stock_alerts (outbox) dan baru dikirim setelah commit oleh dispatcher,
+// supaya pergerakan yang di-rollback tidak pernah mengirim notifikasi.
+async function recordStockAlert(client, product, stockBefore, stockAfter) {
+  const point = product.reorder_point;
+  if (point == null || !(stockBefore > point && stockAfter <= point)) return null;
+
+  const { rows } = await client.query(
+    `INSERT INTO stock_alerts (product_id, stock, reorder_point, reorder_quantity)
+     VALUES ($1, $2, $3, $4)
+     RETURNING *`,
+    [product.id, stockAfter, point, product.reorder_quantity || 0]
+  );
+  return rows[0];
+}
+
+// Penerima: STOCK_ALERT_TO (dipisah koma) atau semua admin aktif
+async function getAlertRecipients(db) {
+  if (process.env.STOCK_ALERT_TO) return process.env.STOCK_ALERT_TO;
+  const { rows } = await db.query(
+    `SELECT email FROM users
+     WHERE LOWER(role) = 'admin' AND _is_active_disabled IS NOT TRUE
+     ORDER BY id ASC`
+  );
+  return rows.map((row) => row.email).join(", ");
+}
+
+// ===============================
+//   KIRIM ALERT (DISPATCHER)
+// ===============================
+// Alert diklaim dengan satu UPDATE singkat, lalu dikirim di luar transaksi dan
+// hasilnya disimpan per alert, supaya notifier yang lambat tidak menahan lock.
+async function claimDueAlerts() {
+  const { rows } = await pool.query(
+    `UPDATE stock_alerts a
+     SET next_attempt_at = NOW() + make_interval(secs => $2)
+     FROM products p
+     WHERE p.id = a.product_id
+       AND a.id IN (
+         SELECT id FROM stock_alerts
+         WHERE sent_at IS NULL AND failed_at IS NULL AND next_attempt_at <= NOW()
+         ORDER BY next_attempt_at ASC, id ASC
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+     RETURNING a.*, p.name AS product_name`,
+    [DISPATCH_BATCH_SIZE, CLAIM_SECONDS]
+  );
+  return rows.sort((x, y) => x.id - y.id);
+}
+
+async function markAlertFailed(alert, message) {
+  const attempts = alert.attempts + 1;
+  const delay = Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), RETRY_MAX_SECONDS);
+  await pool.query(
+    `UPDATE stock_alerts
+     SET attempts = $1::int,
+         last_error = $2,
+         next_attempt_at = NOW() + make_interval(secs => $3),
+         failed_at = CASE WHEN $1::int >= $4::int THEN NOW() END
+     WHERE id = $5`,
+    [attempts, message, delay, MAX_ATTEMPTS, alert.id]
+  );
+}
+
+async function dispatchStockAlerts() {
+  const alerts = await claimDueAlerts();
+  if (alerts.length === 0) return 0;
+
+  const to = await getAlertRecipients(pool);
+  let sent = 0;
+  for (const alert of alerts) {
+    try {
+      if (!to) throw new Error("Tidak ada penerima alert stok (STOCK_ALERT_TO kosong dan tidak ada admin aktif)");
+      await notify({
+        to,
+        subject: `Stok menipis: ${alert.product_name}`,
+        text:
+          `Stok produk '${alert.product_name}' (ID ${alert.product_id}) tersisa ${alert.stock}, ` +
+          `di bawah atau sama dengan reorder point ${alert.reorder_point}.\n` +
+          `Saran jumlah pesan ulang: ${alert.reorder_quantity}.`,
+      });
+      await pool.query(
+        "UPDATE stock_alerts SET sent_at = NOW(), last_error = NULL WHERE id = $1",
+        [alert.id]
+      );
+      sent += 1;
+    } catch (err) {
+      await markAlertFailed(alert, err.message);
+    }
+  }
+  return sent;
+}
+
+// Dijalankan berkala dari index.js (STOCK_ALERT_INTERVAL_SECONDS, default 60)
+function startStockAlertDispatcher() {
+  const seconds = Number(process.env.STOCK_ALERT_INTERVAL_SECONDS) || 60;
+  const timer = setInterval(() => {
+    dispatchStockAlerts().catch((err) => console.error("Stock alert dispatcher error:", err.message));
+  }, seconds * 1000);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  recordStockAlert,
+  dispatchStockAlerts,
+  startStockAlertDispatcher,
+};
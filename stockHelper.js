@@ -0,0 +1,232 @@
+const { createError } = require("./helper");
+const { recordStockAlert } = require("./stockAlerts");
+const { resolveVariant, variantLabel } = require("./variantHelper");
+
+// ===============================
+//   JENIS PERGERAKAN STOK
+// ===============================
+// sign: 1 = wajib masuk (+), -1 = wajib keluar (-), 0 = boleh keduanya
+// manual: boleh dicatat langsung lewat POST /stocks
+const STOCK_ACTIONS = {
+  purchase: { sign: 1, manual: true },
+  sale: { sign: -1, manual: false },
+  return: { sign: 1, manual: true },
+  adjustment: { sign: 0, manual: true, reasonRequired: true },
+  damage: { sign: -1, manual: true },
+  transfer: { sign: 0, manual: true },
+  opening: { sign: 0, manual: false },
+  reversal: { sign: 0, manual: false },
+};
+
+const MANUAL_STOCK_ACTIONS = Object.keys(STOCK_ACTIONS).filter((action) => STOCK_ACTIONS[action].manual);
+
+function validateStockMovement({ quantity_change, action, reason }) {
+  const rule = STOCK_ACTIONS[action];
+  if (!rule) {
+    return `action harus salah satu dari: ${Object.keys(STOCK_ACTIONS).join(", ")}`;
+  }
+  if (!Number.isInteger(quantity_change) || quantity_change === 0) {
+    return "quantity_change harus bilangan bulat selain 0";
+  }
+  if (rule.sign === 1 && quantity_change < 0) return `quantity_change untuk '${action}' harus positif`;
+  if (rule.sign === -1 && quantity_change > 0) return `quantity_change untuk '${action}' harus negatif`;
+  if (rule.reasonRequired && !String(reason || "").trim()) return `reason wajib diisi untuk '${action}'`;
+  return null;
+}
+
+// ===============================
+//   CATAT PERGERAKAN STOK
+// ===============================
+// Harus dipanggil di dalam transaksi database (BEGIN ... COMMIT).
+// Baris produk dan varian dikunci (FOR UPDATE) agar penjualan bersamaan tidak bisa oversell.
+// Varian ditunjuk lewat variant_id, atau product_id untuk produk dengan satu varian.
+async function applyStockMovement(
+  client,
+  {
+    product_id,
+    variant_id,
+    quantity_change,
+    action,
+    reason = null,
+    order_id = null,
+    purchase_order_id = null,
+    reversal_of = null,
+    created_by = null,
+  }
+) {
+  const err = validateStockMovement({ quantity_change, action, reason });
+  if (err) throw createError(400, err);
+
+  const target = await resolveVariant(client, { product_id, variant_id });
+
+  // Urutan kunci selalu produk lalu varian, sama seperti placeOrder
+  const { rows: products } = await client.query(
+    "SELECT id, name, stock, reorder_point, reorder_quantity FROM products WHERE id = $1 FOR UPDATE",
+    [target.product_id]
+  );
+  const product = products[0];
+  const { rows: variants } = await client.query(
+    "SELECT stock FROM product_variants WHERE id = $1 FOR UPDATE",
+    [target.variant_id]
+  );
+  const variantStock = variants[0].stock;
+
+  if (quantity_change < 0 && variantStock + quantity_change < 0) {
+    throw createError(400, `Stok produk '${variantLabel(target)}' tidak mencukupi (sisa ${variantStock})`);
+  }
+
+  const { rows } = await client.query(
+    `INSERT INTO stocks
+       (product_id, variant_id, quantity_change, action, reason, order_id, purchase_order_id, reversal_of, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING *`,
+    [
+      target.product_id,
+      target.variant_id,
+      quantity_change,
+      action,
+      reason,
+      order_id,
+      purchase_order_id,
+      reversal_of,
+      created_by,
+    ]
+  );
+
+  await client.query(
+    `UPDATE product_variants
+     SET stock = stock + $1
+     WHERE id = $2`,
+    [quantity_change, target.variant_id]
+  );
+  // products.stock = total stok semua varian
+  await client.query(
+    `UPDATE products
+     SET stock = stock + $1
+     WHERE id = $2`,
+    [quantity_change, target.product_id]
+  );
+  await recordStockAlert(client, product, product.stock, product.stock + quantity_change);
+
+  return rows[0];
+}
+
+// ===============================
+//   BALIK ENTRI LEDGER
+// ===============================
+// Riwayat stok tidak pernah diubah; kesalahan dikoreksi dengan entri berlawanan.
+async function reverseStockMovement(client, movementId, { created_by = null } = {}) {
+  const { rows } = await client.query("SELECT * FROM stocks WHERE id = $1 FOR UPDATE", [movementId]);
+  if (rows.length === 0) throw createError(404, "Riwayat stok tidak ditemukan");
+
+  const movement = rows[0];
+  if (movement.reversal_of) throw createError(400, "Entri pembalik tidak bisa dibalik lagi");
+  // Pergerakan dari order dikoreksi lewat pembatalan/refund order
+  if (movement.order_id) {
+    throw createError(400, `Riwayat stok milik order ${movement.order_id}, koreksi lewat order`);
+  }
+  if (movement.purchase_order_id) {
+    throw createError(400, `Riwayat stok milik purchase order ${movement.purchase_order_id}`);
+  }
+
+  const reversed = await client.query("SELECT id FROM stocks WHERE reversal_of = $1", [movementId]);
+  if (reversed.rows.length > 0) throw createError(400, "Riwayat stok ini sudah pernah dibalik");
+
+  return applyStockMovement(client, {
+    product_id: movement.product_id,
+    variant_id: movement.variant_id,
+    quantity_change: -movement.quantity_change,
+    action: "reversal",
+    reason: `Koreksi entri #${movement.id}`,
+    reversal_of: movement.id,
+    created_by,
+  });
+}
+
+// ===============================
+//   REKONSILIASI STOK
+// ===============================
+// Stok setiap varian dibandingkan dengan jumlah entri ledger varian tersebut,
+// dan products.stock dibandingkan dengan total stok variannya.
+async function getStockDrift(db, { onlyDrift = true } = {}) {
+  const { rows: variants } = await db.query(
+    `SELECT 'variant' AS level, v.product_id, v.id AS variant_id, p.name, v.size, v.color, v.stock,
+            COALESCE(SUM(s.quantity_change), 0)::int AS ledger_stock,
+            v.stock - COALESCE(SUM(s.quantity_change), 0)::int AS drift
+     FROM product_variants v
+     JOIN products p ON p.id = v.product_id
+     LEFT JOIN stocks s ON s.variant_id = v.id
+     GROUP BY v.id, p.name
+     ORDER BY v.product_id ASC, v.id ASC`
+  );
+  const { rows: products } = await db.query(
+    `SELECT 'product' AS level, p.id AS product_id, NULL::int AS variant_id, p.name,
+            NULL AS size, NULL AS color, p.stock,
+            COALESCE(SUM(v.stock), 0)::int AS ledger_stock,
+            p.stock - COALESCE(SUM(v.stock), 0)::int AS drift
+     FROM products p
+     LEFT JOIN product_variants v ON v.product_id = p.id
+     GROUP BY p.id
+     ORDER BY p.id ASC`
+  );
+  const rows = [...variants, ...products];
+  return onlyDrift ? rows.filter((row) => row.drift !== 0) : rows;
+}
+
+// Ledger dianggap benar: stok varian disamakan dengan ledger, lalu products.stock
+// dihitung ulang dari total varian.
+async function reconcileStock(client) {
+  await client.query("SELECT id FROM products ORDER BY id FOR UPDATE");
+  await client.query("SELECT id FROM product_variants ORDER BY id FOR UPDATE");
+
+  const drifted = (await getStockDrift(client)).filter((row) => row.level === "variant");
+  const negative = drifted.filter((row) => row.ledger_stock < 0);
+  if (negative.length > 0) {
+    throw createError(
+      400,
+      `Ledger varian ${negative.map((row) => row.variant_id).join(", ")} bernilai negatif, periksa riwayat stok`
+    );
+  }
+  for (const row of drifted) {
+    await client.query("UPDATE product_variants SET stock = $1 WHERE id = $2", [row.ledger_stock, row.variant_id]);
+  }
+
+  const { rows: products } = await client.query(
+    `UPDATE products p
+     SET stock = totals.stock
+     FROM (
+       SELECT p2.id, COALESCE(SUM(v.stock), 0)::int AS stock
+       FROM products p2
+       LEFT JOIN product_variants v ON v.product_id = p2.id
+       GROUP BY p2.id
+     ) totals
+     WHERE totals.id = p.id AND p.stock <> totals.stock
+     RETURNING p.id AS product_id, p.name, p.stock`
+  );
+  return [...drifted, ...products.map((row) => ({ level: "product", ...row }))];
+}
+
+// ===============================
+//   STOK MENIPIS
+// ===============================
+async function getLowStockProducts(db) {
+  const { rows } = await db.query(
+    `SELECT id AS product_id, name, stock, reorder_point, reorder_quantity,
+            reorder_point - stock AS shortage
+     FROM products
+     WHERE available = TRUE AND stock <= reorder_point
+     ORDER BY (reorder_point - stock) DESC, id ASC`
+  );
+  return rows;
+}
+
+module.exports = {
+  STOCK_ACTIONS,
+  MANUAL_STOCK_ACTIONS,
+  validateStockMovement,
+  applyStockMovement,
+  reverseStockMovement,
+  getStockDrift,
+  reconcileStock,
+  getLowStockProducts,
+};
@@ -1,39 +1,112 @@
 const express = require("express");
 const router = express.Router();
 const pool = require("../db/pool");
+const requirePermission = require("../middleware/requirePermission");
+const { isValidId } = require("../helper/helper");
+const {
+  MANUAL_STOCK_ACTIONS,
+  applyStockMovement,
+  reverseStockMovement,
+  getStockDrift,
+  reconcileStock,
+  getLowStockProducts,
+} = require("../helper/stockHelper");
+const { paginate } = require("../helper/pagination");
+
+const STOCK_SORTS = {
+  id: "s.id",
+  created_at: "s.created_at",
+  quantity_change: "s.quantity_change",
+};
 
 /**
  * @swagger
  * tags:
  *   name: Stocks
- *   description: Manajemen riwayat stok
+ *   description: Ledger stok (append-only, koreksi lewat entri pembalik)
  */
 
 /**
  * @swagger
  * /stocks:
  *   get:
- *     summary: Ambil semua riwayat stok
+ *     summary: Ambil riwayat stok (filter, urutan, pagination)
  *     tags: [Stocks]
+ *     parameters:
+ *       - in: query
+ *         name: product_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: variant_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [id, created_at, quantity_change]
+ *           default: id
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Cursor'
  *     responses:
  *       200:
  *         description: Berhasil mengambil list riwayat stok
+ *       400:
+ *         description: Parameter filter atau pagination tidak valid
  */
-router.get("/", async (_req, res) => {
+router.get("/", async (req, res) => {
+  const { product_id, variant_id, action } = req.query;
+  const where = [];
+  const values = [];
+
+  for (const [field, value] of [["product_id", product_id], ["variant_id", variant_id]]) {
+    if (value != null && !isValidId(value)) {
+      return res.status(400).json({ status: "failed", message: `${field} harus bilangan bulat` });
+    }
+    if (value != null) {
+      values.push(Number(value));
+      where.push(`s.${field} = $${values.length}`);
+    }
+  }
+  if (action) {
+    values.push(action);
+    where.push(`s.action = $${values.length}`);
+  }
+
   try {
-    const result = await pool.query(
-      `SELECT s.*, p.name AS product_name
-       FROM stocks s
+    const { data, total, pagination } = await paginate(pool, {
+      select: "s.*, p.name AS product_name, v.size, v.color",
+      from: `stocks s
        JOIN products p ON s.product_id = p.id
-       ORDER BY s.id DESC`
-    );
+       LEFT JOIN product_variants v ON v.id = s.variant_id`,
+      where,
+      values,
+      idColumn: "s.id",
+      sortable: STOCK_SORTS,
+      defaultOrder: "desc",
+      query: req.query,
+    });
     res.status(200).json({
       status: "success",
-      total: result.rowCount,
-      data: result.rows,
+      count: data.length,
+      total,
+      pagination,
+      data,
     });
   } catch (err) {
-    res.status(500).json({ status: "error", message: err.message });
+    res.status(err.status || 500).json({ status: "error", message: err.message });
   }
 });
 
@@ -62,9 +135,10 @@ router.get("/product/:product_id", async (req, res) => {
   
   try {
     const result = await pool.query(
-      `SELECT s.*, p.name AS product_name
+      `SELECT s.*, p.name AS product_name, v.size, v.color
        FROM stocks s
        JOIN products p ON s.product_id = p.id
+       LEFT JOIN product_variants v ON v.id = s.variant_id
        WHERE s.product_id = $1
        ORDER BY s.created_at DESC`,
       [product_id]
@@ -82,133 +156,187 @@ router.get("/product/:product_id", async (req, res) => {
 
 /**
  * @swagger
- * /stocks:
- *   post:
- *     summary: Tambah riwayat stok baru
+ * /stocks/low:
+ *   get:
+ *     summary: Ambil produk dengan stok di bawah atau sama dengan reorder point
  *     tags: [Stocks]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - product_id
- *               - quantity_change
- *               - action
- *             properties:
- *               product_id:
- *                 type: integer
- *               quantity_change:
- *                 type: integer
- *               action:
- *                 type: string
  *     responses:
- *       201:
- *         description: Riwayat stok berhasil ditambahkan
- *       400:
- *         description: Semua field wajib diisi
+ *       200:
+ *         description: Berhasil mengambil list produk stok menipis
  *       500:
  *         description: Server error
  */
-router.post("/", async (req, res) => {
-  const { product_id, quantity_change, action } = req.body;
-
-  if (!product_id || !quantity_change || !action) {
-    return res.status(400).json({
-      status: "failed",
-      message: "Semua field wajib diisi (product_id, quantity_change, action)",
+router.get("/low", async (_req, res) => {
+  try {
+    const rows = await getLowStockProducts(pool);
+    res.status(200).json({
+      status: "success",
+      total: rows.length,
+      data: rows,
     });
+  } catch (err) {
+    res.status(500).json({ status: "error", message: err.message });
   }
+});
 
+/**
+ * @swagger
+ * /stocks/reconcile:
+ *   get:
+ *     summary: Bandingkan stok varian dengan ledger dan stok produk dengan total varian
+ *     tags: [Stocks]
+ *     parameters:
+ *       - in: query
+ *         name: all
+ *         schema:
+ *           type: boolean
+ *         description: Tampilkan semua produk, bukan hanya yang selisih
+ *     responses:
+ *       200:
+ *         description: Daftar selisih stok (drift = stock - ledger_stock)
+ *       500:
+ *         description: Server error
+ */
+router.get("/reconcile", async (req, res) => {
   try {
-    const result = await pool.query(
-      `INSERT INTO stocks (product_id, quantity_change, action)
-       VALUES ($1, $2, $3)
-       RETURNING *`,
-      [product_id, quantity_change, action]
-    );
+    const rows = await getStockDrift(pool, { onlyDrift: req.query.all !== "true" });
+    res.status(200).json({
+      status: "success",
+      total: rows.length,
+      data: rows,
+    });
+  } catch (err) {
+    res.status(500).json({ status: "error", message: err.message });
+  }
+});
 
-    await pool.query(
-      `UPDATE products
-       SET stock = stock + $1
-       WHERE id = $2`,
-      [quantity_change, product_id]
-    );
+/**
+ * @swagger
+ * /stocks/reconcile:
+ *   post:
+ *     summary: Samakan stok produk dengan hasil hitung ledger
+ *     tags: [Stocks]
+ *     responses:
+ *       200:
+ *         description: Stok produk yang selisih sudah disamakan
+ *       400:
+ *         description: Hasil ledger negatif, perlu koreksi manual
+ *       500:
+ *         description: Server error
+ */
+router.post("/reconcile", requirePermission("stocks:reconcile"), async (_req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const fixed = await reconcileStock(client);
+    await client.query("COMMIT");
 
-    res.status(201).json({
+    res.status(200).json({
       status: "success",
-      message: "Riwayat stok berhasil ditambahkan dan stok produk diperbarui",
-      data: result.rows[0],
+      message: `${fixed.length} stok varian/produk disamakan dengan ledger`,
+      data: fixed,
     });
   } catch (err) {
-    res.status(500).json({ status: "error", message: err.message });
+    await client.query("ROLLBACK");
+    res.status(err.status || 500).json({ status: "error", message: err.message });
+  } finally {
+    client.release();
   }
 });
 
 /**
  * @swagger
- * /stocks/{id}:
- *   put:
- *     summary: Update riwayat stok
+ * /stocks:
+ *   post:
+ *     summary: Catat pergerakan stok baru
+ *     description: |
+ *       Entri ledger, stok varian, dan stok produk diperbarui dalam satu transaksi database.
+ *       Aturan tanda quantity_change: purchase dan return positif, damage negatif,
+ *       adjustment dan transfer bebas (adjustment wajib reason). Penjualan dicatat lewat order.
  *     tags: [Stocks]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
+ *             required:
+ *               - quantity_change
+ *               - action
  *             properties:
+ *               product_id:
+ *                 type: integer
+ *               variant_id:
+ *                 type: integer
+ *                 description: Wajib bila produk punya lebih dari satu varian
  *               quantity_change:
  *                 type: integer
  *               action:
  *                 type: string
+ *                 enum: [purchase, return, adjustment, damage, transfer]
+ *               reason:
+ *                 type: string
  *     responses:
- *       200:
- *         description: Riwayat stok berhasil diperbarui
+ *       201:
+ *         description: Riwayat stok berhasil ditambahkan
+ *       400:
+ *         description: Input tidak valid, tanda quantity salah, atau stok tidak mencukupi
  *       404:
- *         description: Riwayat stok tidak ditemukan
+ *         description: Produk tidak ditemukan
  *       500:
  *         description: Server error
  */
-router.put("/:id", async (req, res) => {
-  const { id } = req.params;
-  const { quantity_change, action } = req.body;
+router.post("/", async (req, res) => {
+  const { product_id, variant_id, quantity_change, action, reason } = req.body;
 
-  try {
-    const result = await pool.query(
-      `UPDATE stocks
-       SET quantity_change = $1, action = $2
-       WHERE id = $3
-       RETURNING *`,
-      [quantity_change, action, id]
-    );
+  if ((!product_id && !variant_id) || !quantity_change || !action) {
+    return res.status(400).json({
+      status: "failed",
+      message: "Semua field wajib diisi (product_id/variant_id, quantity_change, action)",
+    });
+  }
 
-    if (result.rowCount === 0) {
-      return res.status(404).json({ status: "error", message: "Riwayat stok tidak ditemukan" });
-    }
+  if (!MANUAL_STOCK_ACTIONS.includes(action)) {
+    return res.status(400).json({
+      status: "failed",
+      message: `action harus salah satu dari: ${MANUAL_STOCK_ACTIONS.join(", ")}`,
+    });
+  }
 
-    res.status(200).json({
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const movement = await applyStockMovement(client, {
+      product_id,
+      variant_id,
+      quantity_change: Number(quantity_change),
+      action,
+      reason: reason || null,
+      created_by: req.user.id,
+    });
+    await client.query("COMMIT");
+
+    res.status(201).json({
       status: "success",
-      message: "Riwayat stok berhasil diperbarui",
-      data: result.rows[0],
+      message: "Riwayat stok berhasil ditambahkan dan stok produk diperbarui",
+      data: movement,
     });
   } catch (err) {
-    res.status(500).json({ status: "error", message: err.message });
+    await client.query("ROLLBACK");
+    res.status(err.status || 500).json({ status: "error", message: err.message });
+  } finally {
+    client.release();
   }
 });
 
 /**
  * @swagger
- * /stocks/{id}:
- *   delete:
- *     summary: Hapus riwayat stok
+ * /stocks/{id}/reverse:
+ *   post:
+ *     summary: Koreksi riwayat stok dengan entri pembalik
+ *     description: |
+ *       Riwayat stok tidak bisa diubah atau dihapus; entri yang salah dibalik dengan quantity berlawanan.
+ *       Butuh izin stocks:reverse (tidak cukup stocks:create).
  *     tags: [Stocks]
  *     parameters:
  *       - in: path
@@ -217,36 +345,36 @@ router.put("/:id", async (req, res) => {
  *         schema:
  *           type: integer
  *     responses:
- *       200:
- *         description: Riwayat stok berhasil dihapus
+ *       201:
+ *         description: Entri pembalik berhasil dicatat
+ *       400:
+ *         description: Entri sudah dibalik, milik order, atau stok tidak mencukupi
+ *       403:
+ *         description: Tidak punya izin stocks:reverse
  *       404:
  *         description: Riwayat stok tidak ditemukan
  *       500:
  *         description: Server error
  */
-router.delete("/:id", async (req, res) => {
-  const { id } = req.params;
-  
+router.post("/:id/reverse", requirePermission("stocks:reverse"), async (req, res) => {
+  const client = await pool.connect();
   try {
-    const result = await pool.query(
-      `DELETE FROM stocks WHERE id = $1 RETURNING *`,
-      [id]
-    );
-
-    if (result.rowCount === 0) {
-      return res.status(404).json({
-        status: "error",
-        message: "Riwayat stok tidak ditemukan",
-      });
-    }
+    await client.query("BEGIN");
+    const movement = await reverseStockMovement(client, req.params.id, {
+      created_by: req.user.id,
+    });
+    await client.query("COMMIT");
 
-    res.status(200).json({
+    res.status(201).json({
       status: "success",
-      message: "Riwayat stok berhasil dihapus",
-      data: result.rows[0],
+      message: "Entri pembalik berhasil dicatat",
+      data: movement,
     });
   } catch (err) {
-    res.status(500).json({ status: "error", message: err.message });
+    await client.query("ROLLBACK");
+    res.status(err.status || 500).json({ status: "error", message: err.message });
+  } finally {
+    client.release();
   }
 });
 
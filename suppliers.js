@@ -0,0 +1,221 @@
+const express = require("express");
+const router = express.Router();
+const pool = require("../db/pool");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Suppliers
+ *   description: Manajemen supplier barang
+ */
+
+// ==============================
+// GET semua supplier
+// ==============================
+/**
+ * @swagger
+ * /suppliers:
+ *   get:
+ *     summary: Ambil semua supplier
+ *     tags: [Suppliers]
+ *     responses:
+ *       200:
+ *         description: Berhasil mengambil list supplier
+ */
+router.get("/", async (_req, res) => {
+  try {
+    const { rows } = await pool.query("SELECT * FROM suppliers ORDER BY name ASC");
+    res.status(200).json({ status: "success", count: rows.length, data: rows });
+  } catch (err) {
+    res.status(500).json({ status: "error", message: err.message });
+  }
+});
+
+// ==============================
+// GET supplier by ID
+// ==============================
+/**
+ * @swagger
+ * /suppliers/{id}:
+ *   get:
+ *     summary: Ambil detail supplier
+ *     tags: [Suppliers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Supplier ditemukan
+ *       404:
+ *         description: Supplier tidak ditemukan
+ */
+router.get("/:id", async (req, res) => {
+  try {
+    const { rows } = await pool.query("SELECT * FROM suppliers WHERE id = $1", [req.params.id]);
+    if (rows.length === 0) {
+      return res.status(404).json({ status: "error", message: "Supplier tidak ditemukan" });
+    }
+    res.status(200).json({ status: "success", data: rows[0] });
+  } catch (err) {
+    res.status(500).json({ status: "error", message: err.message });
+  }
+});
+
+// ==============================
+// CREATE supplier
+// ==============================
+/**
+ * @swagger
+ * /suppliers:
+ *   post:
+ *     summary: Tambah supplier baru
+ *     tags: [Suppliers]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               address:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Supplier berhasil ditambahkan
+ *       400:
+ *         description: Nama supplier wajib diisi
+ */
+router.post("/", async (req, res) => {
+  const { name, email, phone, address } = req.body;
+
+  if (!name) {
+    return res.status(400).json({ status: "failed", message: "Nama supplier wajib diisi" });
+  }
+
+  try {
+    const { rows } = await pool.query(
+      `INSERT INTO suppliers (name, email, phone, address)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [name, email || null, phone || null, address || null]
+    );
+    res.status(201).json({ status: "success", message: "Supplier berhasil ditambahkan", data: rows[0] });
+  } catch (err) {
+    res.status(500).json({ status: "error", message: err.message });
+  }
+});
+
+// ==============================
+// UPDATE supplier
+// ==============================
+/**
+ * @swagger
+ * /suppliers/{id}:
+ *   put:
+ *     summary: Ubah data supplier
+ *     tags: [Suppliers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               address:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Supplier berhasil diperbarui
+ *       404:
+ *         description: Supplier tidak ditemukan
+ */
+router.put("/:id", async (req, res) => {
+  const { name, email, phone, address } = req.body;
+
+  try {
+    const { rows } = await pool.query(
+      `UPDATE suppliers
+       SET name = COALESCE($1, name),
+           email = COALESCE($2, email),
+           phone = COALESCE($3, phone),
+           address = COALESCE($4, address)
+       WHERE id = $5
+       RETURNING *`,
+      [name, email, phone, address, req.params.id]
+    );
+    if (rows.length === 0) {
+      return res.status(404).json({ status: "error", message: "Supplier tidak ditemukan" });
+    }
+    res.status(200).json({ status: "success", message: "Supplier berhasil diperbarui", data: rows[0] });
+  } catch (err) {
+    res.status(500).json({ status: "error", message: err.message });
+  }
+});
+
+// ==============================
+// DELETE supplier
+// ==============================
+/**
+ * @swagger
+ * /suppliers/{id}:
+ *   delete:
+ *     summary: Hapus supplier yang belum punya purchase order
+ *     tags: [Suppliers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Supplier berhasil dihapus
+ *       400:
+ *         description: Supplier masih dipakai purchase order
+ *       404:
+ *         description: Supplier tidak ditemukan
+ */
+router.delete("/:id", async (req, res) => {
+  try {
+    const used = await pool.query("SELECT 1 FROM purchase_orders WHERE supplier_id = $1 LIMIT 1", [req.params.id]);
+    if (used.rows.length > 0) {
+      return res.status(400).json({
+        status: "error",
+        message: "Supplier masih dipakai purchase order dan tidak bisa dihapus",
+      });
+    }
+
+    const result = await pool.query("DELETE FROM suppliers WHERE id = $1 RETURNING *", [req.params.id]);
+    if (result.rowCount === 0) {
+      return res.status(404).json({ status: "error", message: "Supplier tidak ditemukan" });
+    }
+    res.status(200).json({ status: "success", message: "Supplier berhasil dihapus", data: result.rows[0] });
+  } catch (err) {
+    res.status(500).json({ status: "error", message: err.message });
+  }
+});
+
+module.exports = router;
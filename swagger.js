@@ -15,6 +15,35 @@ const options = {
         description: "Local server"
       }
     ],
+    // Parameter pagination yang dipakai semua endpoint list
+    components: {
+      parameters: {
+        Limit: {
+          in: "query",
+          name: "limit",
+          schema: { type: "integer", minimum: 1, maximum: 100, default: 20 },
+          description: "Jumlah data per halaman"
+        },
+        Page: {
+          in: "query",
+          name: "page",
+          schema: { type: "integer", minimum: 1, default: 1 },
+          description: "Nomor halaman (pagination offset)"
+        },
+        Cursor: {
+          in: "query",
+          name: "cursor",
+          schema: { type: "string" },
+          description: "Isi dengan pagination.next_cursor dari halaman sebelumnya (pagination cursor)"
+        },
+        Order: {
+          in: "query",
+          name: "order",
+          schema: { type: "string", enum: ["asc", "desc"] },
+          description: "Arah urutan"
+        }
+      }
+    }
   },
 
  apis: ["./src/route/*.js"]
@@ -1,6 +1,21 @@
 const express = require("express");
 const router = express.Router();
 const pool = require("../db/pool");
+const {
+  PAYMENT_METHODS,
+  PAYMENT_ACTIONS,
+  getOrderBalance,
+  createPayment,
+  transitionPayment,
+} = require("../helper/paymentHelper");
+const { paginate } = require("../helper/pagination");
+const { isValidId } = require("../helper/helper");
+
+const TRANSACTION_SORTS = {
+  id: "t.id",
+  created_at: "t.created_at",
+  total_amount: "COALESCE(t.total_amount, 0)",
+};
 
 /**
  * @swagger
@@ -16,32 +31,131 @@ const pool = require("../db/pool");
  * @swagger
  * /transactions:
  *   get:
- *     summary: Ambil semua transaksi
+ *     summary: Ambil transaksi (filter, urutan, pagination)
  *     tags: [Transactions]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: payment_method
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: order_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [id, created_at, total_amount]
+ *           default: id
+ *       - $ref: '#/components/parameters/Order'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Cursor'
  *     responses:
  *       200:
  *         description: Berhasil mengambil list transaksi
+ *       400:
+ *         description: Parameter filter atau pagination tidak valid
  */
-router.get("/", async (_req, res) => {
+router.get("/", async (req, res) => {
+  const { status, payment_method, order_id } = req.query;
+  const where = [];
+  const values = [];
+
+  if (order_id != null && !isValidId(order_id)) {
+    return res.status(400).json({ status: "failed", message: "order_id harus bilangan bulat" });
+  }
+
+  if (status) {
+    values.push(status);
+    where.push(`t.status = $${values.length}`);
+  }
+  if (payment_method) {
+    values.push(payment_method);
+    where.push(`t.payment_method = $${values.length}`);
+  }
+  if (order_id != null) {
+    values.push(Number(order_id));
+    where.push(`t.order_id = $${values.length}`);
+  }
+
   try {
-    const { rows } = await pool.query(`
-      SELECT 
+    const { data, total, pagination } = await paginate(pool, {
+      select: `
         t.id,
         t.order_id,
         t.payment_method,
         t.total_amount,
-        t.status
-      FROM transactions t
-      ORDER BY t.id ASC
-    `);
+        t.status,
+        t.created_at`,
+      from: "transactions t",
+      where,
+      values,
+      idColumn: "t.id",
+      sortable: TRANSACTION_SORTS,
+      query: req.query,
+    });
 
     res.status(200).json({
       status: "success",
+      count: data.length,
+      total,
+      pagination,
+      data
+    });
+  } catch (e) {
+    res.status(e.status || 500).json({ status: "error", message: e.status ? e.message : "Server error" });
+  }
+});
+
+
+// ==============================
+// GET pembayaran per order
+// ==============================
+/**
+ * @swagger
+ * /transactions/order/{order_id}:
+ *   get:
+ *     summary: Ambil semua pembayaran sebuah order beserta sisa tagihan
+ *     tags: [Transactions]
+ *     parameters:
+ *       - in: path
+ *         name: order_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Berhasil mengambil pembayaran order
+ *       404:
+ *         description: Order tidak ditemukan
+ */
+router.get("/order/:order_id", async (req, res) => {
+  const { order_id } = req.params;
+
+  try {
+    const balance = await getOrderBalance(pool, order_id);
+    const { rows } = await pool.query(
+      `SELECT * FROM transactions WHERE order_id = $1 ORDER BY id ASC`,
+      [order_id]
+    );
+
+    res.status(200).json({
+      status: "success",
+      balance,
       count: rows.length,
       data: rows
     });
   } catch (e) {
-    res.status(500).json({ status: "error", message: "Server error" });
+    res.status(e.status || 500).json({
+      status: "error",
+      message: e.status ? e.message : "Server error"
+    });
   }
 });
 
@@ -72,7 +186,10 @@ router.get("/:id", async (req, res) => {
 
   try {
     const { rows } = await pool.query(
-      `SELECT * FROM transactions WHERE id = $1`,
+      `SELECT t.*,
+              (SELECT COALESCE(SUM(r.amount), 0) FROM refunds r WHERE r.transaction_id = t.id) AS refunded_amount
+       FROM transactions t
+       WHERE t.id = $1`,
       [id]
     );
 
@@ -100,7 +217,10 @@ router.get("/:id", async (req, res) => {
  * @swagger
  * /transactions:
  *   post:
- *     summary: Membuat transaksi baru
+ *     summary: Mencatat pembayaran (boleh parsial) untuk sebuah order
+ *     description: |
+ *       Total pembayaran tidak boleh melebihi sisa tagihan order.
+ *       Order otomatis berstatus paid saat seluruh tagihan sudah captured.
  *     tags: [Transactions]
  *     requestBody:
  *       required: true
@@ -110,22 +230,35 @@ router.get("/:id", async (req, res) => {
  *             type: object
  *             required:
  *               - order_id
+ *               - payment_method
  *               - total_amount
  *             properties:
  *               order_id:
  *                 type: integer
  *               payment_method:
  *                 type: string
+ *                 enum: [cash, debit_card, credit_card, qris, bank_transfer, e_wallet]
  *               total_amount:
  *                 type: number
  *               status:
  *                 type: string
+ *                 enum: [pending, authorized, captured]
+ *                 default: pending
+ *               provider:
+ *                 type: string
+ *                 description: |
+ *                   Payment gateway (mis. mock). Jika diisi, payment intent dibuat di provider
+ *                   dan status berikutnya dikirim lewat webhook.
  *     responses:
  *       201:
  *         description: Transaksi berhasil dibuat
+ *       400:
+ *         description: Input tidak valid atau melebihi sisa tagihan
+ *       404:
+ *         description: Order tidak ditemukan
  */
 router.post("/", async (req, res) => {
-  const { order_id, payment_method, total_amount, status } = req.body;
+  const { order_id, payment_method, total_amount, status, provider } = req.body;
 
   if (!order_id || !total_amount) {
     return res.status(400).json({
@@ -134,21 +267,34 @@ router.post("/", async (req, res) => {
     });
   }
 
+  const client = await pool.connect();
   try {
-    const { rows } = await pool.query(
-      `INSERT INTO transactions (order_id, payment_method, total_amount, status)
-       VALUES ($1, $2, $3, $4)
-       RETURNING *`,
-      [order_id, payment_method || null, total_amount, status || "pending"]
-    );
+    await client.query("BEGIN");
+    const transaction = await createPayment(client, {
+      order_id,
+      payment_method,
+      amount: total_amount,
+      status: status || "pending",
+      provider: provider || null,
+      changedBy: req.user.id
+    });
+    const balance = await getOrderBalance(client, order_id);
+    await client.query("COMMIT");
 
     res.status(201).json({
       status: "success",
       message: "Transaksi berhasil dibuat",
-      data: rows[0]
+      data: transaction,
+      balance
     });
   } catch (e) {
-    res.status(500).json({ status: "error", message: "Server error" });
+    await client.query("ROLLBACK");
+    res.status(e.status || 500).json({
+      status: "error",
+      message: e.status ? e.message : "Server error"
+    });
+  } finally {
+    client.release();
   }
 });
 
@@ -160,7 +306,8 @@ router.post("/", async (req, res) => {
  * @swagger
  * /transactions/{id}:
  *   put:
- *     summary: Update transaksi berdasarkan ID
+ *     summary: Ganti metode pembayaran transaksi yang masih pending
+ *     description: Status dan nominal diubah lewat endpoint aksi, bukan PUT.
  *     tags: [Transactions]
  *     parameters:
  *       - in: path
@@ -177,13 +324,12 @@ router.post("/", async (req, res) => {
  *             properties:
  *               payment_method:
  *                 type: string
- *               total_amount:
- *                 type: number
- *               status:
- *                 type: string
+ *                 enum: [cash, debit_card, credit_card, qris, bank_transfer, e_wallet]
  *     responses:
  *       200:
  *         description: Transaksi berhasil diperbarui
+ *       400:
+ *         description: Input tidak valid atau transaksi bukan pending
  *       404:
  *         description: Transaksi tidak ditemukan
  */
@@ -191,21 +337,34 @@ router.put("/:id", async (req, res) => {
   const { id } = req.params;
   const { payment_method, total_amount, status } = req.body;
 
+  if (total_amount !== undefined || status !== undefined) {
+    return res.status(400).json({
+      status: "error",
+      message: "Nominal dan status tidak bisa diubah; gunakan POST /transactions/{id}/{aksi}"
+    });
+  }
+
+  if (!PAYMENT_METHODS.includes(payment_method)) {
+    return res.status(400).json({
+      status: "error",
+      message: `payment_method harus salah satu dari: ${PAYMENT_METHODS.join(", ")}`
+    });
+  }
+
   try {
     const { rows } = await pool.query(
       `UPDATE transactions
        SET payment_method = $1,
-           total_amount = $2,
-           status = $3
-       WHERE id = $4
+           updated_at = NOW()
+       WHERE id = $2 AND status = 'pending'
        RETURNING *`,
-      [payment_method, total_amount, status, id]
+      [payment_method, id]
     );
 
     if (rows.length === 0) {
       return res.status(404).json({
         status: "error",
-        message: "Transaksi tidak ditemukan"
+        message: "Transaksi tidak ditemukan atau sudah tidak pending"
       });
     }
 
@@ -220,6 +379,66 @@ router.put("/:id", async (req, res) => {
 });
 
 
+// ==============================
+// Aksi status pembayaran
+// ==============================
+/**
+ * @swagger
+ * /transactions/{id}/{action}:
+ *   post:
+ *     summary: Ubah status pembayaran (pending → authorized → captured, atau failed/voided)
+ *     description: Untuk transaksi lewat provider, capture juga dikirim ke provider.
+ *     tags: [Transactions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: action
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [authorize, capture, fail, void]
+ *     responses:
+ *       200:
+ *         description: Status transaksi berhasil diubah
+ *       400:
+ *         description: Perubahan status tidak diizinkan
+ *       404:
+ *         description: Transaksi tidak ditemukan
+ */
+for (const [action, toStatus] of Object.entries(PAYMENT_ACTIONS)) {
+  router.post(`/:id/${action}`, async (req, res) => {
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      const transaction = await transitionPayment(client, req.params.id, toStatus, {
+        changedBy: req.user.id
+      });
+      const balance = await getOrderBalance(client, transaction.order_id);
+      await client.query("COMMIT");
+
+      res.status(200).json({
+        status: "success",
+        message: `Status transaksi berhasil diubah menjadi '${toStatus}'`,
+        data: transaction,
+        balance
+      });
+    } catch (e) {
+      await client.query("ROLLBACK");
+      res.status(e.status || 500).json({
+        status: "error",
+        message: e.status ? e.message : "Server error"
+      });
+    } finally {
+      client.release();
+    }
+  });
+}
+
+
 // ==============================
 // DELETE transaksi
 // ==============================
@@ -227,7 +446,8 @@ router.put("/:id", async (req, res) => {
  * @swagger
  * /transactions/{id}:
  *   delete:
- *     summary: Hapus transaksi berdasarkan ID
+ *     summary: Hapus transaksi yang masih pending
+ *     description: Transaksi yang sudah diproses adalah catatan keuangan dan tidak bisa dihapus.
  *     tags: [Transactions]
  *     parameters:
  *       - in: path
@@ -239,21 +459,21 @@ router.put("/:id", async (req, res) => {
  *       200:
  *         description: Transaksi berhasil dihapus
  *       404:
- *         description: Transaksi tidak ditemukan
+ *         description: Transaksi tidak ditemukan atau sudah diproses
  */
 router.delete("/:id", async (req, res) => {
   const { id } = req.params;
 
   try {
     const result = await pool.query(
-      `DELETE FROM transactions WHERE id = $1 RETURNING *`,
+      `DELETE FROM transactions WHERE id = $1 AND status = 'pending' RETURNING *`,
       [id]
     );
 
     if (result.rowCount === 0) {
       return res.status(404).json({
         status: "error",
-        message: "Transaksi tidak ditemukan"
+        message: "Transaksi tidak ditemukan atau sudah diproses"
       });
     }
 
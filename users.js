@@ -1,30 +1,135 @@
 const express = require("express");
 const router = express.Router();
 const pool = require("../db/pool");
+const { revokeUserSessions } = require("../helper/sessionStore");
+const { listLoginFailures, clearLoginFailures } = require("../helper/loginGuard");
+const { paginate } = require("../helper/pagination");
+
+// Kolom sort dibungkus COALESCE karena cursor tidak bisa membandingkan NULL
+const USER_SORTS = {
+  id: "id",
+  fullname: "COALESCE(fullname, '')",
+  username: "COALESCE(username, '')",
+  email: "COALESCE(email, '')",
+};
 
 // GET semua user
 /**
  * @swagger
  * /users:
  *   get:
- *     summary: Ambil semua users
+ *     summary: Ambil users (filter, urutan, pagination)
  *     tags: [Users]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Cari di nama lengkap, username, atau email
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [id, fullname, username, email]
+ *           default: id
+ *       - $ref: '#/components/parameters/Order'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Cursor'
  *     responses:
  *       200:
  *         description: Berhasil mengambil list user
+ *       400:
+ *         description: Parameter filter atau pagination tidak valid
  */
 
 router.get("/", async (req, res) => {
+  const { q, role } = req.query;
+  const where = [];
+  const values = [];
+
+  if (q) {
+    values.push(`%${q}%`);
+    where.push(`(fullname ILIKE $${values.length} OR username ILIKE $${values.length} OR email ILIKE $${values.length})`);
+  }
+  if (role) {
+    values.push(role);
+    where.push(`LOWER(role) = LOWER($${values.length})`);
+  }
+
   try {
-    const { rows } = await pool.query(
-      "SELECT id, fullname, username, email, phone, address, role, _is_active_disabled FROM users ORDER BY id ASC"
-    );
+    const { data, total, pagination } = await paginate(pool, {
+      select: "id, fullname, username, email, phone, address, role, _is_active_disabled",
+      from: "users",
+      where,
+      values,
+      idColumn: "id",
+      sortable: USER_SORTS,
+      query: req.query,
+    });
+    res.json({ status: "success", count: data.length, total, pagination, data });
+  } catch (err) {
+    res.status(err.status || 500).json({ status: "error", message: err.message });
+  }
+});
+
+// GET lockout login
+/**
+ * @swagger
+ * /users/lockouts:
+ *   get:
+ *     summary: Lihat akun dan IP yang gagal login atau sedang dikunci
+ *     tags: [Users]
+ *     responses:
+ *       200:
+ *         description: Berhasil mengambil list lockout
+ */
+router.get("/lockouts", async (req, res) => {
+  try {
+    const rows = await listLoginFailures();
     res.json({ status: "success", count: rows.length, data: rows });
   } catch (err) {
     res.status(500).json({ status: "error", message: err.message });
   }
 });
 
+// DELETE lockout login
+/**
+ * @swagger
+ * /users/lockouts/{key}:
+ *   delete:
+ *     summary: Buka kunci login akun atau IP
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "account:kasir@toko.com"
+ *     responses:
+ *       200:
+ *         description: Lockout berhasil dihapus
+ *       404:
+ *         description: Lockout tidak ditemukan
+ */
+router.delete("/lockouts/:key", async (req, res) => {
+  try {
+    const cleared = await clearLoginFailures(req.params.key);
+
+    if (!cleared)
+      return res.status(404).json({ status: "error", message: "Lockout tidak ditemukan" });
+
+    res.json({ status: "success", message: "Lockout berhasil dihapus" });
+  } catch (err) {
+    res.status(500).json({ status: "error", message: err.message });
+  }
+});
+
 // GET user by ID
 /**
  * @swagger
@@ -103,6 +208,8 @@ router.put("/:id", async (req, res) => {
   const { fullname, username, email, role, _is_active_disabled } = req.body;
 
   try {
+    const before = await pool.query("SELECT role FROM users WHERE id = $1", [id]);
+
     const result = await pool.query(
       `UPDATE users
        SET fullname = COALESCE($1, fullname),
@@ -122,6 +229,12 @@ router.put("/:id", async (req, res) => {
       });
     }
 
+    // User dinonaktifkan atau role berubah → semua token lama langsung tidak berlaku
+    const roleChanged = before.rows[0].role !== result.rows[0].role;
+    if (_is_active_disabled === true || roleChanged) {
+      await revokeUserSessions(id);
+    }
+
     res.json({
       status: "success",
       message: "User berhasil diperbarui",
@@ -157,6 +270,7 @@ router.delete("/:id", async (req, res) => {
   try {
     const { id } = req.params;
 
+    await revokeUserSessions(id);
     const result = await pool.query(
       "DELETE FROM users WHERE id = $1 RETURNING id, fullname, email",
       [id]
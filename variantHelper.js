@@ -0,0 +1,166 @@
+const { createError } = require("./helper");
+
+// Token: {CATEGORY} 3 huruf kategori, {PRODUCT} id produk 5 digit, {NAME} 3 huruf nama produk,
+// {SIZE} ukuran, {COLOR} 3 huruf warna. Contoh bawaan: CLO-00012-XL-HIT
+const SKU_PATTERN = process.env.SKU_PATTERN || "{CATEGORY}-{PRODUCT}-{SIZE}-{COLOR}";
+
+// Kolom varian yang dipakai order, keranjang, stok, dan PO.
+// price = harga varian jika diisi, selain itu harga produk.
+const VARIANT_COLUMNS = `
+  v.id AS variant_id, v.product_id, p.name, v.size, v.color, v.sku,
+  COALESCE(v.price, p.price) AS price, v.stock, (p.available AND v.available) AS available`;
+
+function variantLabel(variant) {
+  return `${variant.name} (${variant.size}/${variant.color})`;
+}
+
+function sameOption(requested, actual) {
+  return requested == null || String(requested).toLowerCase() === String(actual || "").toLowerCase();
+}
+
+// ===============================
+//   CARI VARIAN
+// ===============================
+// Varian bisa ditunjuk lewat variant_id, atau product_id + size/color.
+// Produk dengan satu varian cukup disebut product_id-nya saja.
+async function resolveVariant(db, { product_id, variant_id, size, color } = {}) {
+  if (variant_id) {
+    const { rows } = await db.query(
+      `SELECT ${VARIANT_COLUMNS}
+       FROM product_variants v
+       JOIN products p ON p.id = v.product_id
+       WHERE v.id = $1`,
+      [variant_id]
+    );
+    if (rows.length === 0) throw createError(404, `Varian ${variant_id} tidak ditemukan`);
+    if (product_id && Number(product_id) !== rows[0].product_id) {
+      throw createError(400, `Varian ${variant_id} bukan milik produk ${product_id}`);
+    }
+    return rows[0];
+  }
+
+  if (!product_id) throw createError(400, "product_id atau variant_id wajib diisi");
+
+  const { rows } = await db.query(
+    `SELECT ${VARIANT_COLUMNS}
+     FROM products p
+     LEFT JOIN product_variants v ON v.product_id = p.id
+     WHERE p.id = $1
+     ORDER BY v.id ASC`,
+    [product_id]
+  );
+  if (rows.length === 0) throw createError(404, `Produk ${product_id} tidak ditemukan`);
+
+  const matches = rows.filter(
+    (row) => row.variant_id && sameOption(size, row.size) && sameOption(color, row.color)
+  );
+  if (matches.length === 0) {
+    const options = rows.filter((row) => row.variant_id).map((row) => `${row.size}/${row.color}`);
+    throw createError(400, `Produk '${rows[0].name}' hanya tersedia varian: ${options.join(", ") || "-"}`);
+  }
+  if (matches.length > 1) {
+    throw createError(400, `Produk '${rows[0].name}' punya beberapa varian, pilih variant_id atau size dan color`);
+  }
+  return matches[0];
+}
+
+// ===============================
+//   SKU
+// ===============================
+function normalizeSku(sku) {
+  return String(sku).trim().toUpperCase();
+}
+
+function skuPart(value, length) {
+  const cleaned = String(value || "").replace(/[^A-Za-z0-9]/g, "");
+  return length ? cleaned.slice(0, length) : cleaned;
+}
+
+// SKU dibuat dari SKU_PATTERN; jika sudah dipakai diberi akhiran -2, -3, dst.
+async function generateSku(db, productId, { size, color }) {
+  const { rows } = await db.query(
+    `SELECT p.id, p.name, c.name AS category
+     FROM products p
+     LEFT JOIN categories c ON c.id = p.category_id
+     WHERE p.id = $1`,
+    [productId]
+  );
+  if (rows.length === 0) throw createError(404, `Produk ${productId} tidak ditemukan`);
+
+  const tokens = {
+    CATEGORY: skuPart(rows[0].category, 3) || "GEN",
+    PRODUCT: String(rows[0].id).padStart(5, "0"),
+    NAME: skuPart(rows[0].name, 3),
+    SIZE: skuPart(size),
+    COLOR: skuPart(color, 3),
+  };
+  const base = normalizeSku(
+    SKU_PATTERN.replace(/\{(\w+)\}/g, (match, token) => tokens[token.toUpperCase()] ?? match)
+  )
+    .replace(/-+/g, "-")
+    .replace(/^-|-$/g, "");
+
+  const { rows: taken } = await db.query(
+    "SELECT UPPER(sku) AS sku FROM product_variants WHERE UPPER(sku) LIKE $1",
+    [`${base}%`]
+  );
+  const used = new Set(taken.map((row) => row.sku));
+  let sku = base;
+  for (let n = 2; used.has(sku); n++) sku = `${base}-${n}`;
+  return sku;
+}
+
+// ===============================
+//   DAFTAR / TAMBAH VARIAN
+// ===============================
+async function getProductVariants(db, productId, { onlyAvailable = false } = {}) {
+  const { rows } = await db.query(
+    `SELECT v.*, COALESCE(v.price, p.price) AS effective_price
+     FROM product_variants v
+     JOIN products p ON p.id = v.product_id
+     WHERE v.product_id = $1 AND ($2::boolean = FALSE OR v.available = TRUE)
+     ORDER BY v.id ASC`,
+    [productId, onlyAvailable]
+  );
+  return rows;
+}
+
+function validateVariantInput({ size, color, price, sku }, { partial = false } = {}) {
+  if (!partial && (!size || !color)) return "size dan color varian wajib diisi";
+  if (price != null && (isNaN(price) || Number(price) < 0)) return "price varian harus angka valid dan tidak negatif";
+  if (sku != null && (typeof sku !== "string" || sku.length > 64)) return "sku harus teks maksimal 64 karakter";
+  return null;
+}
+
+async function createVariant(db, productId, { size, color, sku = null, price = null, available = true }) {
+  const err = validateVariantInput({ size, color, price, sku });
+  if (err) throw createError(400, err);
+
+  // SKU kosong = dibuat otomatis
+  const finalSku = sku ? normalizeSku(sku) : await generateSku(db, productId, { size, color });
+
+  try {
+    const { rows } = await db.query(
+      `INSERT INTO product_variants (product_id, size, color, sku, price, available)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [productId, size, color, finalSku, price == null ? null : Number(price), available !== false]
+    );
+    return rows[0];
+  } catch (e) {
+    // 23505 = unique_violation (ukuran/warna atau SKU sudah dipakai)
+    if (e.code === "23505") throw createError(400, `Varian ${size}/${color} atau SKU sudah ada`);
+    throw e;
+  }
+}
+
+module.exports = {
+  SKU_PATTERN,
+  variantLabel,
+  normalizeSku,
+  generateSku,
+  resolveVariant,
+  getProductVariants,
+  validateVariantInput,
+  createVariant,
+};
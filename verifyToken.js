@@ -1,4 +1,6 @@
 const jwt = require("jsonwebtoken");
+const { touchSession } = require("../helper/sessionStore");
+const { isLegacyTokenAllowed } = require("../helper/helper");
 
 module.exports = async function verifyToken(req, res, next) {
   try {
@@ -18,10 +20,28 @@ module.exports = async function verifyToken(req, res, next) {
     // Verifikasi token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Token lama tanpa masa berlaku hanya diterima sampai tanggal cutoff
+    if (decoded.exp === undefined && !isLegacyTokenAllowed()) {
+      return res.status(401).json({
+        status: "error",
+        message: "Token lama tanpa masa berlaku tidak lagi diterima, silakan login ulang"
+      });
+    }
+
+    // Token harus masih tercatat sebagai sesi aktif (belum logout / dicabut)
+    const session = await touchSession({ sid: decoded.sid, token });
+    if (!session || session.user_id !== decoded.id) {
+      return res.status(401).json({
+        status: "error",
+        message: "Sesi sudah berakhir, silakan login ulang"
+      });
+    }
+
     // Tambahkan user ke request
     req.user = {
       id: decoded.id,
-      role: decoded.role
+      role: decoded.role,
+      sid: session.session_id
     };
 
     next();
@@ -0,0 +1,120 @@
+const express = require("express");
+const router = express.Router();
+const pool = require("../db/pool");
+const { createError } = require("../helper/helper");
+const verifyToken = require("../middleware/verifyToken");
+const requirePermission = require("../middleware/requirePermission");
+const { getProvider, isMockEnabled } = require("../helper/paymentGateway");
+const { handlePaymentWebhook } = require("../helper/paymentHelper");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Webhooks
+ *   description: Notifikasi status pembayaran dari payment gateway (tanpa token, wajib bertanda tangan)
+ */
+
+// Verifikasi tanda tangan lalu proses event di dalam satu transaksi database
+async function processWebhook(providerName, rawBody, headers, body) {
+  const provider = getProvider(providerName);
+  if (!provider.verifyWebhook(rawBody, headers)) {
+    throw createError(401, "Tanda tangan webhook tidak valid");
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const result = await handlePaymentWebhook(client, providerName, provider.parseWebhook(body), body);
+    await client.query("COMMIT");
+    return result;
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// ==============================
+// Simulasi webhook mock provider
+// ==============================
+/**
+ * @swagger
+ * /webhooks/payments/mock/simulate:
+ *   post:
+ *     summary: (Development) Kirim webhook bertanda tangan dari mock provider
+ *     description: Hanya ada jika PAYMENT_MOCK_ENABLED=true. Wajib login dengan izin transactions:update.
+ *     tags: [Webhooks]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - provider_ref
+ *               - event
+ *             properties:
+ *               provider_ref:
+ *                 type: string
+ *               event:
+ *                 type: string
+ *                 enum: [authorize, capture, fail, void]
+ *     responses:
+ *       200:
+ *         description: Webhook diproses
+ *       401:
+ *         description: Token tidak valid
+ *       403:
+ *         description: Tidak punya izin
+ *       404:
+ *         description: Transaksi tidak ditemukan
+ */
+if (isMockEnabled()) {
+  router.post("/payments/mock/simulate", verifyToken, requirePermission("transactions:update"), async (req, res) => {
+    try {
+      const { body, headers } = getProvider("mock").buildWebhook(req.body?.provider_ref, req.body?.event);
+      const result = await processWebhook("mock", Buffer.from(body), headers, JSON.parse(body));
+      res.status(200).json({ status: "success", data: result });
+    } catch (err) {
+      res.status(err.status || 500).json({ status: "error", message: err.message });
+    }
+  });
+}
+
+// ==============================
+// Webhook provider
+// ==============================
+/**
+ * @swagger
+ * /webhooks/payments/{provider}:
+ *   post:
+ *     summary: Terima notifikasi status pembayaran dari provider
+ *     description: Event yang sama hanya diproses sekali walaupun dikirim ulang.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhook diterima (processed, duplicate, unchanged, atau ignored)
+ *       400:
+ *         description: Provider tidak dikenal atau payload tidak valid
+ *       401:
+ *         description: Tanda tangan tidak valid
+ *       404:
+ *         description: Transaksi tidak ditemukan
+ */
+router.post("/payments/:provider", async (req, res) => {
+  try {
+    const result = await processWebhook(req.params.provider, req.rawBody, req.headers, req.body);
+    res.status(200).json({ status: "success", data: result });
+  } catch (err) {
+    res.status(err.status || 500).json({ status: "error", message: err.message });
+  }
+});
+
+module.exports = router;